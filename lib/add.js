@@ -0,0 +1,213 @@
+import { dirname } from 'path';
+import { withEvents } from './events.js';
+import {
+  FEATURES,
+  expandFeatures,
+  featureDevPackages,
+  featureFiles,
+  featurePackages,
+  getFeature,
+  resolveAnalyticsProvider,
+  resolveDbDialect,
+  resolveFeatures,
+  unknownFeatures,
+} from './features.js';
+import {
+  installDependencies,
+  renderFile,
+  splitPackageSpec,
+  updateEnvLocal,
+  updateGitignore,
+  updatePackageScripts,
+  updateStylesheet,
+} from './generators.js';
+import { createRunIO, trackIO } from './io.js';
+import { LAYOUT_FEATURES, editRootLayout } from './layout.js';
+import { UNTRACKED, hashContent, trackedFiles, writeManifest } from './manifest.js';
+import { validateOptions } from './options.js';
+import {
+  detectProject,
+  featureStatus,
+  projectFeatures,
+  projectOptions,
+} from './project.js';
+
+// Apply feature modules to the existing project in `cwd` (default: the
+// current directory), through the `fs` and `runner` when given (see
+// createGeoApp()). Settings are read from the project unless passed.
+// Files that exist with different content are conflicts, rejected unless
+// `force` is set, and so is a root layout that cannot be wired up. Files of
+// the project's other features that change with the added ones are updated
+// when they are still as generated. Emits the createGeoApp() events plus
+// `skip` { path } for files that are already up to date, with `kept` set for
+// an existing .env.local, which is never overwritten (new variables are
+// appended to it), and `warning` { message } for edited files left as they
+// are.
+export function addFeatures(names, input = {}) {
+  const { cwd, stdio, fs, runner, ...rest } = input;
+  return withEvents((events) => apply(names, rest, { cwd, stdio, fs, runner }, events));
+}
+
+async function apply(names, input, context, events) {
+  if (names.length === 0) {
+    throw new Error('Name at least one feature to add (see --help for the list)');
+  }
+  const unknown = unknownFeatures(names);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown feature(s): ${unknown.join(', ')} (see --help for the list)`);
+  }
+
+  const baseIO = createRunIO({ ...context, dryRun: input.dryRun });
+  const project = await detectProject(baseIO);
+  const options = projectOptions(project, input);
+
+  // Required features are only added when none of their files exist yet
+  const requested = new Set(expandFeatures(names));
+  const added = resolveFeatures({ features: [...requested].join(',') })
+    .filter((name) => requested.has(name) || featureStatus(baseIO, getFeature(name)) === 'missing');
+  const existing = projectFeatures(baseIO);
+  const features = FEATURES.map((feature) => feature.name)
+    .filter((name) => added.includes(name) || existing.includes(name));
+  options.features = features.join(',');
+  options.without = '';
+  const pages = features.filter((name) => getFeature(name).page);
+  options.pages = pages.length > 0 ? pages.join(',') : 'none';
+  // Recorded in the manifest, so upgrades regenerate the same dialect and
+  // provider
+  if (features.includes('db')) options.db = resolveDbDialect(options.db);
+  if (features.includes('analytics')) options.analytics = resolveAnalyticsProvider(options.analytics);
+
+  const errors = validateOptions(options);
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+
+  const result = {
+    projectDir: baseIO.cwd,
+    dryRun: options.dryRun,
+    features: added,
+    files: [],
+    unchanged: [],
+    commands: [],
+    warnings: [],
+  };
+  const io = trackIO(baseIO, events, result);
+
+  // Render everything first so a conflict leaves the project untouched
+  const writes = [];
+  const conflicts = [];
+  const rendered = new Map();
+  for (const name of added) {
+    for (const path of featureFiles(name, options, features)) {
+      const content = await renderFile(path, options);
+      rendered.set(path, content);
+      if (io.exists(path)) {
+        // Never replace the user's own values, even with --force
+        if (UNTRACKED.includes(path)) {
+          events.emit('skip', { path, kept: true });
+          continue;
+        }
+        if (await io.readFile(path) === content) {
+          result.unchanged.push(path);
+          events.emit('skip', { path });
+          continue;
+        }
+        if (!options.force) {
+          conflicts.push(path);
+          continue;
+        }
+      }
+      writes.push({ feature: name, path, content });
+    }
+  }
+
+  // Files of the features already in the project that render differently
+  // with the added ones, e.g. lib/env.ts and .env.example gaining variables.
+  // Files still as generated are updated; edited ones are left to `upgrade`.
+  const before = {
+    ...options,
+    features: existing.join(','),
+    db: existing.includes('db') ? options.db : 'none',
+    analytics: existing.includes('analytics') ? options.analytics : 'none',
+  };
+  const refreshes = [];
+  for (const name of features.filter((feature) => !added.includes(feature))) {
+    for (const path of trackedFiles([name], options, features)) {
+      if (!io.exists(path)) continue;
+      const content = await renderFile(path, options);
+      const previous = await renderFile(path, before);
+      const current = await io.readFile(path);
+      if (content === previous || current === content) continue;
+      if (current === previous) {
+        rendered.set(path, content);
+        refreshes.push({ path, content });
+      } else {
+        const warning = `${path} was edited, so it does not have the changes for ${added.join(', ')} yet (run: create-geo-app upgrade to merge them in)`;
+        result.warnings.push(warning);
+        events.emit('warning', { message: warning });
+      }
+    }
+  }
+
+  // app/layout.tsx is edited in place rather than rendered
+  const layoutFeatures = added.filter((name) => LAYOUT_FEATURES.includes(name));
+  let layout = null;
+  if (layoutFeatures.length > 0 && io.exists('app/layout.tsx')) {
+    const current = await io.readFile('app/layout.tsx');
+    layout = editRootLayout(current, options, layoutFeatures);
+    if (layout === current) layout = null;
+  }
+
+  if (conflicts.length > 0) {
+    const error = new Error(`${conflicts.length} file(s) already exist with different content: ${conflicts.join(', ')}. Pass --force to overwrite them.`);
+    error.conflicts = conflicts;
+    throw error;
+  }
+
+  const missing = (specs) => specs.filter((spec) => !project.dependencies.has(splitPackageSpec(spec)[0]));
+  const packages = missing(featurePackages(added, options));
+  const devPackages = missing(featureDevPackages(added));
+  if (packages.length > 0 || devPackages.length > 0) {
+    events.emit('step:start', { name: 'dependencies', title: '📦 Installing feature dependencies...' });
+    if (packages.length > 0) await installDependencies(io, packages, options);
+    if (devPackages.length > 0) await installDependencies(io, devPackages, options, { dev: true });
+  }
+
+  for (const name of added) {
+    const files = writes.filter((write) => write.feature === name);
+    if (files.length === 0) continue;
+    events.emit('step:start', { name, title: getFeature(name).title });
+    for (const { path, content } of files) {
+      await io.mkdir(dirname(path), { recursive: true });
+      await io.writeFile(path, content);
+    }
+  }
+  if (refreshes.length > 0) {
+    events.emit('step:start', { name: 'refresh', title: '🔄 Updating the files that change with the added features...' });
+    for (const { path, content } of refreshes) {
+      await io.writeFile(path, content);
+    }
+  }
+  await updateGitignore(io, added);
+  await updatePackageScripts(io, added);
+  await updateStylesheet(io, added);
+  if (features.includes('env')) await updateEnvLocal(io, options);
+
+  if (layout) {
+    events.emit('step:start', { name: 'root-layout', title: '📝 Updating root layout...' });
+    await io.writeFile('app/layout.tsx', layout);
+  }
+
+  // Record the added files so `upgrade` keeps them up to date
+  const contents = Object.fromEntries([...trackedFiles(added, options, features), ...refreshes.map(({ path }) => path)]
+    .map((path) => [path, rendered.get(path)]));
+  if (Object.entries(contents).some(([path, content]) => project.manifest?.files[path] !== hashContent(content))) {
+    await writeManifest(io, project.manifest, options, contents);
+  }
+
+  result.files = [...io.files.values()];
+  if (io.dryRun) {
+    result.plan = baseIO.plan;
+  }
+  return result;
+}
@@ -0,0 +1,247 @@
+import { existsSync } from 'fs';
+import { cp, mkdir, mkdtemp, readdir, readFile, rm, writeFile } from 'fs/promises';
+import { homedir, tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { withEvents } from './events.js';
+import { DB_DIALECTS, FEATURES, featureDevPackages, featurePackages } from './features.js';
+import { createDiskIO } from './io.js';
+import { defaultOptions, importPrefix, resolveComponents } from './options.js';
+import { getPackageManager, resolvePackageManager } from './package-manager.js';
+
+// Never copied into or out of the cache
+const IGNORED = ['node_modules', '.git', '.next'];
+const LOCKFILES = ['package-lock.json', 'pnpm-lock.yaml', 'yarn.lock', 'bun.lock', 'bun.lockb'];
+
+export function cacheDir(env = process.env) {
+  if (env.GEO_APP_CACHE_DIR) return env.GEO_APP_CACHE_DIR;
+  return join(env.XDG_CACHE_HOME || join(homedir(), '.cache'), 'create-geo-app');
+}
+
+// create-next-app output differs per package manager and bundler
+export function nextAppCacheDir(options) {
+  return join(cacheDir(), 'next-app', `${options.packageManager}-${options.turbopack ? 'turbopack' : 'webpack'}`);
+}
+
+// Files written by shadcn init and `shadcn add --all`, per base color
+export function shadcnCacheDir(options) {
+  return join(cacheDir(), 'shadcn', options.baseColor);
+}
+
+// Errors for an --offline run whose inputs were never cached
+export function missingCache(options) {
+  const warm = `run: create-geo-app cache warm --use-${options.packageManager}`;
+  const errors = [];
+  if (!existsSync(nextAppCacheDir(options))) {
+    errors.push(`No cached Next.js project for ${options.packageManager}${options.turbopack ? '' : ' with webpack'} (${warm}${options.turbopack ? '' : ' --no-turbopack'})`);
+  }
+  if (!options.skipShadcn && !existsSync(shadcnCacheDir(options))) {
+    errors.push(`No cached shadcn/ui files for base color ${options.baseColor} (${warm} --base-color ${options.baseColor})`);
+  }
+  return errors;
+}
+
+// Paths of every file below `dir`, relative to it
+export async function listFiles(dir, prefix = '') {
+  const files = [];
+  for (const entry of await readdir(join(dir, prefix), { withFileTypes: true })) {
+    if (IGNORED.includes(entry.name)) continue;
+    const path = join(prefix, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(dir, path));
+    } else {
+      files.push(path);
+    }
+  }
+  return files;
+}
+
+async function readJson(path) {
+  return JSON.parse(await readFile(path, 'utf-8'));
+}
+
+const BINARY = /\.(ico|png|jpe?g|gif|webp|woff2?)$/;
+
+// Copy the cached create-next-app project to `<directory>/`
+export async function copyNextApp(io, options) {
+  const dir = nextAppCacheDir(options);
+  for (const path of await listFiles(dir)) {
+    let content = await readFile(join(dir, path), BINARY.test(path) ? null : 'utf-8');
+    if (path === 'package.json') {
+      const packageJson = JSON.parse(content);
+      content = `${JSON.stringify({ ...packageJson, name: options.projectName }, null, 2)}\n`;
+    } else if (path === 'tsconfig.json') {
+      content = content.replace('"@/*"', JSON.stringify(options.importAlias));
+    }
+    await io.mkdir(join(options.directory, dirname(path)), { recursive: true });
+    await io.writeFile(join(options.directory, path), content);
+  }
+}
+
+const UI_IMPORT = /["']@\/(components\/ui|hooks)\/([\w-]+)["']/g;
+
+// Cached shadcn/ui files for the init step (`components: false`) or for the
+// components step. Selected components pull in the components and hooks
+// they import.
+async function shadcnFiles(dir, options, components) {
+  const files = await listFiles(dir);
+  const isComponent = (path) => path.startsWith('components/ui/') || path.startsWith('hooks/');
+  if (!components) return files.filter((path) => !isComponent(path));
+
+  const names = resolveComponents(options);
+  if (!names) return files.filter(isComponent);
+
+  const selected = new Set();
+  const queue = names.map((name) => `components/ui/${name}`);
+  while (queue.length > 0) {
+    const module = queue.shift();
+    const path = files.find((file) => file.replace(/\.tsx?$/, '') === module);
+    if (!path) {
+      throw new Error(`${module} is not in the offline cache (run: create-geo-app cache warm to refresh it)`);
+    }
+    if (selected.has(path)) continue;
+    selected.add(path);
+    const source = await readFile(join(dir, path), 'utf-8');
+    for (const [, folder, name] of source.matchAll(UI_IMPORT)) {
+      queue.push(`${folder}/${name}`);
+    }
+  }
+  return [...selected];
+}
+
+// Write cached shadcn/ui files into the project (the io's working directory)
+// and add the packages they import to package.json
+export async function copyShadcn(io, options, { components }) {
+  const dir = shadcnCacheDir(options);
+  const prefix = importPrefix(options);
+  const { dependencies = {}, devDependencies = {} } = await readJson(join(dir, 'dependencies.json'));
+  const used = { dependencies: {}, devDependencies: {} };
+
+  for (const path of await shadcnFiles(join(dir, 'files'), options, components)) {
+    let content = await readFile(join(dir, 'files', path), 'utf-8');
+    if (prefix !== '@/' && /\.(tsx?|json)$/.test(path)) {
+      content = content.replaceAll('"@/', `"${prefix}`);
+    }
+    for (const [field, packages] of Object.entries({ dependencies, devDependencies })) {
+      for (const [name, version] of Object.entries(packages)) {
+        if (content.includes(`"${name}"`) || content.includes(`"${name}/`)) {
+          used[field][name] = version;
+        }
+      }
+    }
+    await io.mkdir(dirname(path), { recursive: true });
+    await io.writeFile(path, content);
+  }
+
+  const packageJson = JSON.parse(await io.readFile('package.json'));
+  for (const field of ['dependencies', 'devDependencies']) {
+    if (Object.keys(used[field]).length > 0) {
+      packageJson[field] = { ...packageJson[field], ...used[field] };
+    }
+  }
+  await io.writeFile('package.json', `${JSON.stringify(packageJson, null, 2)}\n`);
+}
+
+// Files shadcn changed in `app` compared to the cached create-next-app
+// project, plus the packages it added
+async function snapshotShadcn(app, nextApp, target) {
+  await rm(target, { recursive: true, force: true });
+  await mkdir(join(target, 'files'), { recursive: true });
+
+  for (const path of await listFiles(app)) {
+    if (path === 'package.json' || LOCKFILES.includes(path)) continue;
+    const content = await readFile(join(app, path));
+    const original = existsSync(join(nextApp, path)) ? await readFile(join(nextApp, path)) : null;
+    if (original && original.equals(content)) continue;
+    await mkdir(dirname(join(target, 'files', path)), { recursive: true });
+    await writeFile(join(target, 'files', path), content);
+  }
+
+  const before = await readJson(join(nextApp, 'package.json'));
+  const after = await readJson(join(app, 'package.json'));
+  const added = (field) => Object.fromEntries(
+    Object.entries(after[field] ?? {}).filter(([name]) => !before[field]?.[name]),
+  );
+  const dependencies = { dependencies: added('dependencies'), devDependencies: added('devDependencies') };
+  await writeFile(join(target, 'dependencies.json'), `${JSON.stringify(dependencies, null, 2)}\n`);
+}
+
+// Fill the cache for the given options: the create-next-app project, the
+// shadcn/ui files and every package the generator installs, which also end up
+// in the package manager's own cache for `install --offline`. Emits the same
+// step events as createGeoApp().
+export function warmCache(input = {}) {
+  return withEvents((events) => warm(input, events));
+}
+
+async function warm(input, events) {
+  const { stdio = 'pipe', ...rest } = input;
+  const options = { ...defaultOptions(), ...rest };
+  options.packageManager ??= resolvePackageManager(options);
+  const pm = getPackageManager(options.packageManager);
+  const [runner, ...runnerArgs] = pm.runner;
+  const io = createDiskIO({ stdio });
+  const work = await mkdtemp(join(tmpdir(), 'create-geo-app-'));
+  const app = join(work, 'app');
+  const nextApp = nextAppCacheDir(options);
+
+  const steps = [
+    {
+      name: 'create-next-app',
+      title: '🚀 Caching the Next.js 16 project...',
+      run: async () => {
+        await io.run(runner, [
+          ...runnerArgs,
+          'create-next-app@latest',
+          'app',
+          '--yes',
+          '--typescript',
+          '--tailwind',
+          '--eslint',
+          '--biome',
+          '--app',
+          options.turbopack ? '--turbopack' : '--webpack',
+          '--import-alias', '@/*',
+          pm.createNextAppFlag,
+        ], { cwd: work });
+        await rm(nextApp, { recursive: true, force: true });
+        await mkdir(dirname(nextApp), { recursive: true });
+        await cp(app, nextApp, { recursive: true, filter: (source) => !IGNORED.some((name) => source.endsWith(`/${name}`)) });
+      },
+    },
+    ...(options.skipShadcn ? [] : [{
+      name: 'shadcn',
+      title: '🎨 Caching shadcn/ui and every component...',
+      run: async () => {
+        await io.run(runner, [...runnerArgs, 'shadcn@latest', 'init', '--yes', '--css-variables', '--base-color', options.baseColor], { cwd: app });
+        await io.run(runner, [...runnerArgs, 'shadcn@latest', 'add', '--all', '--yes'], { cwd: app });
+        await snapshotShadcn(app, nextApp, shadcnCacheDir(options));
+      },
+    }]),
+    {
+      name: 'dependencies',
+      title: '📦 Caching feature dependencies...',
+      run: async () => {
+        const names = FEATURES.map((feature) => feature.name);
+        // The drivers of every --db dialect
+        const packages = Object.keys(DB_DIALECTS).flatMap((db) => featurePackages(names, { db }));
+        await io.run(pm.name, pm.installArgs([...new Set(packages)]), { cwd: app });
+        await io.run(pm.name, pm.installArgs(featureDevPackages(names), { dev: true }), { cwd: app });
+      },
+    },
+  ];
+
+  try {
+    for (const step of steps) {
+      events.emit('step:start', { name: step.name, title: step.title });
+      await step.run();
+    }
+  } finally {
+    await rm(work, { recursive: true, force: true });
+  }
+
+  return {
+    cacheDir: cacheDir(),
+    nextApp,
+    shadcn: options.skipShadcn ? null : shadcnCacheDir(options),
+  };
+}
@@ -0,0 +1,139 @@
+import { existsSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { homedir } from 'os';
+import { dirname, join, resolve } from 'path';
+import { OPTIONS, toCamelCase } from './options.js';
+
+export const PROJECT_CONFIG_FILE = 'geo-app.config.json';
+export const USER_CONFIG_FILE = '.create-geo-apprc';
+
+export const NAV_PLACEMENTS = ['header', 'mobile', 'footer'];
+
+// Flags that only make sense for a single run
+const RUN_ONLY_OPTIONS = ['help', 'yes', 'dry-run', 'resume', 'preset'];
+
+const LIST_OPTIONS = ['components', 'pages', 'proxy'];
+
+function configurableOptions() {
+  return OPTIONS.filter((option) => !RUN_ONLY_OPTIONS.includes(option.name));
+}
+
+async function readConfigFile(path) {
+  let config;
+  try {
+    config = JSON.parse(await readFile(path, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not read config ${path}: ${error.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Config ${path} must contain a JSON object`);
+  }
+  return normalizeConfig(config, path);
+}
+
+function normalizeConfig(config, path) {
+  const options = new Map(configurableOptions().map((option) => [toCamelCase(option.name), option]));
+  const normalized = {};
+
+  for (const [key, value] of Object.entries(config)) {
+    if (key === 'env') {
+      normalized.env = normalizeEnv(value, path);
+      continue;
+    }
+    if (key === 'navLinks') {
+      normalized.navLinks = normalizeNavLinks(value, path);
+      continue;
+    }
+
+    const option = options.get(key);
+    if (!option) {
+      throw new Error(`Unknown key "${key}" in ${path}`);
+    }
+
+    if (LIST_OPTIONS.includes(option.name) && Array.isArray(value)) {
+      normalized[key] = value.length > 0 ? value.join(',') : 'none';
+    } else if (typeof value !== option.type) {
+      throw new Error(`"${key}" in ${path} must be a ${option.type}${LIST_OPTIONS.includes(option.name) ? ' or an array' : ''}`);
+    } else {
+      normalized[key] = value;
+    }
+  }
+
+  // Relative template directories are relative to the file that names them
+  if (normalized.templateDir) {
+    normalized.templateDir = resolve(dirname(path), normalized.templateDir);
+  }
+
+  return normalized;
+}
+
+function normalizeEnv(env, path) {
+  if (!env || typeof env !== 'object' || Array.isArray(env)) {
+    throw new Error(`"env" in ${path} must be an object of variable names to values`);
+  }
+  for (const [name, value] of Object.entries(env)) {
+    if (!/^[A-Z_][A-Z0-9_]*$/.test(name)) {
+      throw new Error(`"env" in ${path} has an invalid variable name "${name}"`);
+    }
+    if (typeof value !== 'string') {
+      throw new Error(`"env.${name}" in ${path} must be a string`);
+    }
+  }
+  return env;
+}
+
+function normalizeNavLinks(links, path) {
+  if (!Array.isArray(links)) {
+    throw new Error(`"navLinks" in ${path} must be an array`);
+  }
+  return links.map((link, index) => {
+    const where = `"navLinks[${index}]" in ${path}`;
+    if (typeof link?.label !== 'string' || typeof link?.path !== 'string') {
+      throw new Error(`${where} needs a "label" and a "path"`);
+    }
+    const placement = link.placement ?? NAV_PLACEMENTS;
+    if (!Array.isArray(placement) || placement.some((place) => !NAV_PLACEMENTS.includes(place))) {
+      throw new Error(`${where} has an invalid "placement" (expected an array of ${NAV_PLACEMENTS.join(', ')})`);
+    }
+    return { label: link.label, path: link.path, placement };
+  });
+}
+
+// Config files that apply to this run, lowest precedence first
+export function configFiles({ preset, cwd = process.cwd(), home = homedir() } = {}) {
+  const files = [join(home, USER_CONFIG_FILE), join(cwd, PROJECT_CONFIG_FILE)].filter((file) => existsSync(file));
+  if (preset) {
+    const file = resolve(cwd, preset);
+    if (!existsSync(file)) {
+      throw new Error(`Preset not found: ${preset}`);
+    }
+    files.push(file);
+  }
+  return files;
+}
+
+export async function loadConfig(files) {
+  let config = {};
+  for (const file of files) {
+    const next = await readConfigFile(file);
+    config = {
+      ...config,
+      ...next,
+      env: { ...config.env, ...next.env },
+      navLinks: next.navLinks ?? config.navLinks,
+    };
+  }
+  return config;
+}
+
+// Config values fill in anything not passed as a flag. They count as explicit
+// so the setup wizard does not ask for them again.
+export function applyConfig(options, explicit, config) {
+  const merged = { ...options };
+  for (const [key, value] of Object.entries(config)) {
+    if (value === undefined || explicit.has(key)) continue;
+    merged[key] = value;
+    explicit.add(key);
+  }
+  return merged;
+}
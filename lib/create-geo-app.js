@@ -0,0 +1,358 @@
+import { join, relative, resolve } from 'path';
+import { copyNextApp, copyShadcn, missingCache } from './cache.js';
+import { dryRunSeeds } from './dry-run.js';
+import { withEvents } from './events.js';
+import { featureDevPackages, featureFiles, featurePackages, getFeature } from './features.js';
+import {
+  enabledFeatures,
+  installDependencies,
+  updateGitignore,
+  updatePackageScripts,
+  updateRootLayout,
+  updateStylesheet,
+  writeTemplate,
+} from './generators.js';
+import { createRunIO, trackIO } from './io.js';
+import { trackedFiles, writeManifest } from './manifest.js';
+import {
+  defaultDirectory,
+  defaultOptions,
+  resolveComponents,
+  validateOptions,
+  validateProjectName,
+} from './options.js';
+import { PACKAGE_MANAGERS, getPackageManager, resolvePackageManager } from './package-manager.js';
+import {
+  STATE_FILE,
+  clearState,
+  createState,
+  markStepComplete,
+  readState,
+} from './state.js';
+
+export { addFeatures } from './add.js';
+export { createCommandRunner, createMemoryFS, createNodeFS, createRecordingRunner } from './io.js';
+export { warmCache } from './cache.js';
+export { runDoctor } from './doctor.js';
+export { ANALYTICS_PROVIDERS, DB_DIALECTS, FEATURES, FEATURE_GROUPS, PROXY_RECIPES } from './features.js';
+export { generatePage } from './generate.js';
+export { upgradeProject } from './upgrade.js';
+
+// Keys accepted besides the camelCase CLI options
+const EXTRA_KEYS = ['projectName', 'directory', 'packageManager', 'env', 'navLinks', 'stdio', 'cwd', 'fs', 'runner'];
+
+// Files create-next-app accepts in the directory it generates into
+const HARMLESS_FILES = ['.DS_Store', '.git', '.gitattributes', '.gitignore', '.idea', 'LICENSE', 'Thumbs.db'];
+
+// Generate a project without going through the CLI. `input` takes the CLI
+// options in camelCase plus `projectName` and, optionally, the `directory` to
+// generate into (default: the name without its scope). The returned promise resolves with
+// the files written, commands run and step timings, and its `on()` subscribes
+// to progress events.
+//
+// `directory` is relative to `cwd` (default: the current directory). Files
+// are written through `fs` (default: the disk) and commands run through
+// `runner` (default: execa); pass createMemoryFS() and
+// createRecordingRunner() to generate without touching the disk or the
+// network. The events are:
+//
+//   step:start, step:skip, step:complete  { name, title, duration? }
+//   command                               { command, args, cwd }
+//   file                                  { path, size }
+//   resume                                { projectName, completed }
+//   remove, cleanup                       { path }
+//
+// A failed step rejects with an Error carrying `step`, `network` and
+// `resumable`.
+export function createGeoApp(input = {}) {
+  return withEvents((events) => generate(input, events));
+}
+
+async function resolveOptions(input) {
+  const {
+    projectName,
+    directory = projectName && defaultDirectory(projectName),
+    stdio = 'pipe',
+    cwd = process.cwd(),
+    fs,
+    runner,
+    ...rest
+  } = input;
+  const unknown = Object.keys(rest).filter((key) => !(key in defaultOptions()) && !EXTRA_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown option(s): ${unknown.join(', ')}`);
+  }
+  if (!projectName) {
+    throw new Error('A project name is required');
+  }
+
+  let options = { ...defaultOptions(), ...rest };
+  let state = null;
+  if (options.resume) {
+    state = await readState(createRunIO({ fs, cwd }), directory);
+    if (!state) {
+      throw new Error(`No unfinished setup found in ${directory} (missing ${STATE_FILE})`);
+    }
+    // Reuse the options of the interrupted run, keeping this run's behaviour flags
+    options = { ...state.options, dryRun: options.dryRun, cleanup: options.cleanup };
+  }
+  // Resolved now because later steps run inside the project directory
+  if (options.templateDir) {
+    options.templateDir = resolve(cwd, options.templateDir);
+  }
+
+  const errors = [validateProjectName(projectName), ...validateOptions(options)].filter(Boolean);
+  if (options.packageManager && !PACKAGE_MANAGERS.includes(options.packageManager)) {
+    errors.push(`packageManager must be one of: ${PACKAGE_MANAGERS.join(', ')}`);
+  }
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+
+  options.projectName = projectName;
+  options.directory = directory;
+  options.packageManager ??= resolvePackageManager(options);
+  if (options.offline) {
+    const offlineErrors = getPackageManager(options.packageManager).offlineInstallArgs
+      ? missingCache(options)
+      : [`--offline is not supported with ${options.packageManager}`];
+    if (offlineErrors.length > 0) {
+      throw new Error(offlineErrors.join('\n'));
+    }
+  }
+  return { options, state, context: { stdio, cwd, fs, runner } };
+}
+
+async function generate(input, events) {
+  const started = Date.now();
+  const { options, state: previousState, context } = await resolveOptions(input);
+  const { projectName, directory } = options;
+  const pm = getPackageManager(options.packageManager);
+  const features = enabledFeatures(options);
+  const result = {
+    projectName,
+    directory,
+    projectDir: resolve(context.cwd, directory),
+    dryRun: options.dryRun,
+    packageManager: pm.name,
+    features,
+    files: [],
+    commands: [],
+    timings: { total: 0, steps: {} },
+  };
+
+  if (previousState) {
+    events.emit('resume', { projectName, completed: [...previousState.completed] });
+  }
+
+  // State is written through the untracked io so it is not reported as a file
+  // Offline runs copy the real create-next-app output from the cache instead
+  const seeds = options.offline ? {} : dryRunSeeds(directory, projectName);
+  const baseIO = createRunIO({ ...context, dryRun: options.dryRun }, seeds);
+  const io = trackIO(baseIO, events, result);
+
+  if (!previousState && io.exists(directory)) {
+    const files = (await io.readdir(directory)).filter((name) => !HARMLESS_FILES.includes(name));
+    if (files.length > 0 && !options.force) {
+      throw new Error(`Directory "${directory}" already exists and is not empty. Use --force to replace it, or pick another directory.`);
+    }
+    if (files.length > 0) {
+      if (!relative(result.projectDir, io.cwd).startsWith('..')) {
+        throw new Error(`Directory "${directory}" is not empty, and --force cannot remove the directory it is run from.`);
+      }
+      events.emit('remove', { path: directory });
+      await io.rm(directory, { recursive: true, force: true });
+    }
+  }
+  // A directory that existed before is never removed on failure
+  const created = previousState ? previousState.createdDirectory !== false : !io.exists(directory);
+
+  const state = previousState ?? createState(projectName, options, created);
+  const steps = buildSteps(io, options, pm);
+  let currentStep = null;
+
+  try {
+    for (const step of steps) {
+      currentStep = step;
+      if (state.completed.includes(step.name)) {
+        events.emit('step:skip', { name: step.name, title: step.title });
+      } else {
+        const stepStarted = Date.now();
+        events.emit('step:start', { name: step.name, title: step.title });
+        await step.run();
+        result.timings.steps[step.name] = Date.now() - stepStarted;
+        events.emit('step:complete', { name: step.name, title: step.title, duration: result.timings.steps[step.name] });
+      }
+
+      // Every later step runs inside the new project
+      if (step.name === 'create-next-app') {
+        io.chdir(directory);
+      }
+      if (!io.dryRun) {
+        await markStepComplete(baseIO, state, step.name);
+      }
+    }
+
+    if (io.dryRun) {
+      result.plan = baseIO.plan;
+    } else {
+      await clearState(baseIO);
+    }
+  } catch (error) {
+    error.step = currentStep.name;
+    error.network = Boolean(currentStep.network);
+    error.resumable = false;
+
+    if (options.cleanup && created && !io.dryRun) {
+      events.emit('cleanup', { path: directory });
+      await io.rm(result.projectDir, { recursive: true, force: true });
+    } else {
+      error.resumable = state.completed.length > 0;
+    }
+    throw error;
+  }
+
+  result.files = [...io.files.values()];
+  result.timings.total = Date.now() - started;
+  return result;
+}
+
+async function setPackageName(io, path, name) {
+  const packageJson = JSON.parse(await io.readFile(path));
+  if (packageJson.name !== name) {
+    await io.writeFile(path, `${JSON.stringify({ ...packageJson, name }, null, 2)}\n`);
+  }
+}
+
+// The setup pipeline. Steps that complete are recorded in the state file so
+// --resume can skip them after a failure.
+function buildSteps(io, options, pm) {
+  const { projectName, directory } = options;
+  const [runner, ...runnerArgs] = pm.runner;
+  const features = enabledFeatures(options);
+  const packages = featurePackages(features, options);
+  const devPackages = featureDevPackages(features);
+
+  return [
+    options.offline ? {
+      name: 'create-next-app',
+      title: '🚀 Copying the cached Next.js 16 project...',
+      run: () => copyNextApp(io, options),
+    } : {
+      name: 'create-next-app',
+      title: '🚀 Setting up Next.js 16 project...',
+      network: true,
+      run: async () => {
+        await io.run(runner, [
+          ...runnerArgs,
+          'create-next-app@latest',
+          directory,
+          '--yes',           // Skip confirmation prompts
+          '--typescript',    // Use TypeScript
+          '--tailwind',      // Use Tailwind CSS
+          '--eslint',        // Include ESLint
+          '--biome',         // Use Biome for linting and formatting
+          '--app',           // Use App Router
+          options.turbopack ? '--turbopack' : '--webpack', // Pick the bundler
+          '--import-alias', options.importAlias,
+          pm.createNextAppFlag, // Use the selected package manager
+          ...(options.install ? [] : ['--skip-install'])
+        ]);
+        // create-next-app names the package after the directory
+        await setPackageName(io, join(directory, 'package.json'), projectName);
+      },
+    },
+    ...(options.skipShadcn ? [] : options.offline ? [
+      {
+        name: 'shadcn-init',
+        title: '🎨 Copying cached shadcn/ui setup...',
+        run: () => copyShadcn(io, options, { components: false }),
+      },
+      {
+        name: 'shadcn-add',
+        title: '📦 Copying cached shadcn/ui components...',
+        run: () => copyShadcn(io, options, { components: true }),
+      },
+    ] : [
+      {
+        name: 'shadcn-init',
+        title: '🎨 Installing shadcn/ui...',
+        network: true,
+        run: async () => {
+          await io.run(runner, [
+            ...runnerArgs,
+            'shadcn@latest',
+            'init',
+            '--yes',           // Skip confirmation prompt
+            '--css-variables',  // Use CSS variables for theming
+            '--base-color', options.baseColor
+          ]);
+
+          // Add delay for stability
+          if (!io.dryRun) {
+            await new Promise((resolve) => setTimeout(resolve, 2000));
+          }
+        },
+      },
+      {
+        name: 'shadcn-add',
+        title: '📦 Installing shadcn/ui components...',
+        network: true,
+        run: () => io.run(runner, [
+          ...runnerArgs,
+          'shadcn@latest',
+          'add',
+          ...(resolveComponents(options) ?? ['--all']),
+          '--yes'            // Skip confirmation prompt
+        ]),
+      },
+    ]),
+    ...(packages.length === 0 && devPackages.length === 0 ? [] : [{
+      name: 'dependencies',
+      title: '📦 Installing feature dependencies...',
+      network: !options.offline,
+      run: async () => {
+        if (packages.length > 0) await installDependencies(io, packages, options);
+        if (devPackages.length > 0) await installDependencies(io, devPackages, options, { dev: true });
+      },
+    }]),
+    // Offline runs only record dependencies until everything is in package.json
+    ...(options.offline && options.install ? [{
+      name: 'install',
+      title: '📦 Installing dependencies from the package manager cache...',
+      run: () => io.run(pm.name, pm.offlineInstallArgs),
+    }] : []),
+    ...features.map((name) => {
+      const feature = getFeature(name);
+      return {
+        name: feature.name,
+        title: feature.title,
+        run: async () => {
+          for (const file of featureFiles(name, options, features)) {
+            await writeTemplate(io, file, options);
+          }
+          await updateGitignore(io, [name]);
+          await updatePackageScripts(io, [name]);
+          await updateStylesheet(io, [name]);
+        },
+      };
+    }),
+    {
+      name: 'root-layout',
+      title: '📝 Updating root layout...',
+      run: () => updateRootLayout(io, options, features),
+    },
+    {
+      name: 'manifest',
+      title: '🧾 Writing the generator manifest...',
+      run: async () => {
+        const contents = {};
+        for (const path of trackedFiles(features, options)) {
+          contents[path] = await io.readFile(path);
+        }
+        // The resolved feature list, so later versions upgrade the same files
+        await writeManifest(io, null, { ...options, features: features.join(','), without: '' }, contents);
+      },
+    },
+  ];
+}
@@ -0,0 +1,227 @@
+import { parse } from '@babel/parser';
+import { withEvents } from './events.js';
+import { DB_DIALECTS, resolveDbDialect } from './features.js';
+import { createRunIO } from './io.js';
+import { missingLayoutPieces } from './layout.js';
+import { displayName, importPrefix } from './options.js';
+import { getPackageManager } from './package-manager.js';
+import { detectProject, projectOptions } from './project.js';
+import { DEFAULT_ENV, MAIL_ENV } from './templates.js';
+
+const LAYOUT = 'app/layout.tsx';
+const NAVIGATION_FILES = ['components/header.tsx', 'components/mobile-menu.tsx', 'components/footer.tsx'];
+// Files whose process.env reads must be defined for the site to render right
+// (or, for drizzle.config.ts, for the migrations to run). lib/env.ts reads
+// them for everything else in projects that have it.
+const ENV_READERS = ['lib/env.ts', ...NAVIGATION_FILES, 'app/sitemap.ts', 'app/robots.ts', 'drizzle.config.ts'];
+// Files Next.js loads environment variables from
+const ENV_FILES = ['.env', '.env.local', '.env.development', '.env.production'];
+const MIDDLEWARE_FILES = ['middleware.ts', 'middleware.js', 'src/middleware.ts', 'src/middleware.js'];
+
+// Problems with the root layout wiring of one feature
+function layoutCheck(feature) {
+  return async ({ io, options }) => {
+    const fix = `Run: create-geo-app add ${feature} (files that are already up to date are kept)`;
+    if (!io.exists(LAYOUT)) {
+      return [{ message: `${LAYOUT} is missing`, fix }];
+    }
+    try {
+      const pieces = missingLayoutPieces(await io.readFile(LAYOUT), options, [feature]);
+      return pieces.map((piece) => ({ message: `${LAYOUT} is missing ${piece}`, fix }));
+    } catch (error) {
+      return [{ message: error.message, fix: `Compare ${LAYOUT} with a freshly generated project` }];
+    }
+  };
+}
+
+async function uiComponents({ io, options }) {
+  const pattern = new RegExp(`from ["']${importPrefix(options)}components/ui/([\\w-]+)["']`, 'g');
+  const runner = getPackageManager(options.packageManager).runner.join(' ');
+  const problems = [];
+  for (const file of NAVIGATION_FILES.filter((path) => io.exists(path))) {
+    for (const [, name] of (await io.readFile(file)).matchAll(pattern)) {
+      if (io.exists(`components/ui/${name}.tsx`)) continue;
+      problems.push({
+        message: `components/ui/${name}.tsx is missing (imported by ${file})`,
+        fix: `Run: ${runner} shadcn@latest add ${name}`,
+      });
+    }
+  }
+  return problems;
+}
+
+async function envKeys({ io, options }) {
+  const defined = new Set();
+  for (const file of ENV_FILES.filter((path) => io.exists(path))) {
+    for (const [, key] of (await io.readFile(file)).matchAll(/^\s*(?:export\s+)?([A-Za-z_]\w*)\s*=/gm)) {
+      defined.add(key);
+    }
+  }
+
+  // Variables lib/env.ts makes optional or gives a default may stay unset
+  if (io.exists('lib/env.ts')) {
+    for (const [, key] of (await io.readFile('lib/env.ts')).matchAll(/^\s*(\w+): z\..*\.(?:optional|default)\(.*,$/gm)) {
+      defined.add(key);
+    }
+  }
+
+  const readers = new Map();
+  for (const file of ENV_READERS.filter((path) => io.exists(path))) {
+    for (const [, key] of (await io.readFile(file)).matchAll(/process\.env\.(\w+)/g)) {
+      if (!defined.has(key)) readers.set(key, [...new Set([...readers.get(key) ?? [], file])]);
+    }
+  }
+
+  const defaults = {
+    NEXT_PUBLIC_APP_NAME: displayName(options.projectName),
+    ...DEFAULT_ENV,
+    ...MAIL_ENV,
+    DATABASE_URL: DB_DIALECTS[resolveDbDialect(options.db)].url,
+  };
+  return [...readers].map(([key, files]) => ({
+    message: `${key} is read by ${files.join(', ')} but not defined in ${ENV_FILES.join(', ')}`,
+    fix: `Add to .env.local: ${key}=${JSON.stringify(defaults[key] ?? '')}`,
+  }));
+}
+
+function exportedNames(source) {
+  const program = parse(source, { sourceType: 'module', plugins: ['typescript', 'jsx'] }).program;
+  const names = new Set();
+  for (const node of program.body) {
+    if (node.type === 'ExportDefaultDeclaration') names.add('default');
+    if (node.type !== 'ExportNamedDeclaration') continue;
+    if (node.declaration?.id) names.add(node.declaration.id.name);
+    for (const declarator of node.declaration?.declarations ?? []) names.add(declarator.id.name);
+    for (const specifier of node.specifiers) names.add(specifier.exported.name);
+  }
+  return names;
+}
+
+async function proxyExports({ io }) {
+  let names;
+  try {
+    names = exportedNames(await io.readFile('proxy.ts'));
+  } catch (error) {
+    return [{ message: `proxy.ts could not be parsed: ${error.message}`, fix: 'Fix the syntax error in proxy.ts' }];
+  }
+
+  const problems = [];
+  if (!names.has('proxy') && !names.has('default')) {
+    problems.push({
+      message: names.has('middleware')
+        ? 'proxy.ts exports middleware, which Next.js 16 no longer calls'
+        : 'proxy.ts does not export a proxy function',
+      fix: 'Export it as: export function proxy(request: NextRequest) { ... }',
+    });
+  }
+  if (!names.has('config')) {
+    problems.push({
+      message: 'proxy.ts does not export config, so it runs on every request including static files',
+      fix: 'Export a matcher: export const config = { matcher: [...] }',
+    });
+  }
+  return problems;
+}
+
+async function staleMiddleware({ io }) {
+  return MIDDLEWARE_FILES.filter((path) => io.exists(path)).map((path) => ({
+    message: `${path} exists next to proxy.ts; Next.js 16 replaced middleware with proxy`,
+    fix: `Move anything ${path} still does into proxy.ts, then delete it`,
+  }));
+}
+
+async function typographyPlugin({ io }) {
+  const fix = 'Add @plugin "@tailwindcss/typography"; below the @import lines of app/globals.css';
+  if (!io.exists('app/globals.css')) {
+    return [{ message: 'app/globals.css is missing', fix }];
+  }
+  const css = await io.readFile('app/globals.css');
+  return /^@plugin\s+["']@tailwindcss\/typography["']/m.test(css)
+    ? []
+    : [{ message: 'app/globals.css does not load the typography plugin, so blog posts render unstyled', fix }];
+}
+
+// `when` leaves out checks for features the project does not have
+const CHECKS = [
+  {
+    name: 'theme',
+    title: 'ThemeProvider wired into app/layout.tsx',
+    when: (io) => io.exists('components/theme-provider.tsx'),
+    run: layoutCheck('theme'),
+  },
+  {
+    name: 'navigation',
+    title: 'Header and Footer in app/layout.tsx',
+    when: (io) => io.exists('components/header.tsx'),
+    run: layoutCheck('navigation'),
+  },
+  {
+    name: 'ui-components',
+    title: 'UI components imported by the navigation',
+    when: (io) => io.exists('components/header.tsx'),
+    run: uiComponents,
+  },
+  {
+    name: 'fonts',
+    title: 'lib/fonts.ts applied in app/layout.tsx',
+    when: (io) => io.exists('lib/fonts.ts'),
+    run: layoutCheck('fonts'),
+  },
+  {
+    name: 'env',
+    title: 'Environment variables read by lib/env.ts, the navigation and SEO files',
+    when: () => true,
+    run: envKeys,
+  },
+  {
+    name: 'analytics',
+    title: 'Cookie banner and analytics in app/layout.tsx',
+    when: (io) => io.exists('components/consent-provider.tsx'),
+    run: layoutCheck('analytics'),
+  },
+  {
+    name: 'blog',
+    title: 'Typography plugin for blog posts in app/globals.css',
+    when: (io) => io.exists('lib/blog.ts'),
+    run: typographyPlugin,
+  },
+  {
+    name: 'proxy',
+    title: 'proxy.ts exports proxy and config',
+    when: (io) => io.exists('proxy.ts'),
+    run: proxyExports,
+  },
+  {
+    name: 'middleware',
+    title: 'No leftover middleware.ts',
+    when: (io) => io.exists('proxy.ts'),
+    run: staleMiddleware,
+  },
+];
+
+// Audit the project in `cwd` (default: the current directory), read through
+// `fs` when given, for the pieces the generator sets up. Emits `check`
+// { name, title, status, problems } per check, with status 'ok', 'problem'
+// or 'skipped'; every problem has a `message` and a `fix`.
+export function runDoctor(input = {}) {
+  const { cwd, fs, ...rest } = input;
+  return withEvents((events) => diagnose(rest, { cwd, fs }, events));
+}
+
+async function diagnose(input, location, events) {
+  const io = createRunIO(location);
+  const project = await detectProject(io);
+  const context = { io, options: projectOptions(project, input) };
+
+  const result = { projectDir: io.cwd, checks: [], problems: 0 };
+  for (const { name, title, when, run } of CHECKS) {
+    const applies = when(io);
+    const problems = applies ? await run(context) : [];
+    const status = !applies ? 'skipped' : problems.length > 0 ? 'problem' : 'ok';
+    const check = { name, title, status, problems };
+    result.checks.push(check);
+    result.problems += problems.length;
+    events.emit('check', check);
+  }
+  return result;
+}
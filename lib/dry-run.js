@@ -0,0 +1,180 @@
+import { createPatch } from 'diff';
+import { join } from 'path';
+
+// app/layout.tsx as create-next-app writes it for a TypeScript + Tailwind app.
+// A dry run never runs create-next-app, so updateRootLayout() edits this copy.
+const NEXT_APP_LAYOUT = `import type { Metadata } from "next";
+import { Geist, Geist_Mono } from "next/font/google";
+import "./globals.css";
+
+const geistSans = Geist({
+  variable: "--font-geist-sans",
+  subsets: ["latin"],
+});
+
+const geistMono = Geist_Mono({
+  variable: "--font-geist-mono",
+  subsets: ["latin"],
+});
+
+export const metadata: Metadata = {
+  title: "Create Next App",
+  description: "Generated by create next app",
+};
+
+export default function RootLayout({
+  children,
+}: Readonly<{
+  children: React.ReactNode;
+}>) {
+  return (
+    <html lang="en">
+      <body
+        className={\`\${geistSans.variable} \${geistMono.variable} antialiased\`}
+      >
+        {children}
+      </body>
+    </html>
+  );
+}
+`;
+
+// .gitignore as create-next-app writes it, which features add lines to
+const NEXT_APP_GITIGNORE = `# See https://help.github.com/articles/ignoring-files/ for more about ignoring files.
+
+# dependencies
+/node_modules
+/.pnp
+.pnp.*
+.yarn/*
+!.yarn/patches
+!.yarn/plugins
+!.yarn/releases
+!.yarn/versions
+
+# testing
+/coverage
+
+# next.js
+/.next/
+/out/
+
+# production
+/build
+
+# misc
+.DS_Store
+*.pem
+
+# debug
+npm-debug.log*
+yarn-debug.log*
+yarn-error.log*
+.pnpm-debug.log*
+
+# env files (can opt-in for committing if needed)
+.env*
+
+# vercel
+.vercel
+
+# typescript
+*.tsbuildinfo
+next-env.d.ts
+`;
+
+// app/globals.css as create-next-app writes it, which features add lines to
+const NEXT_APP_GLOBALS_CSS = `@import "tailwindcss";
+
+:root {
+  --background: #ffffff;
+  --foreground: #171717;
+}
+
+@theme inline {
+  --color-background: var(--background);
+  --color-foreground: var(--foreground);
+  --font-sans: var(--font-geist-sans);
+  --font-mono: var(--font-geist-mono);
+}
+
+@media (prefers-color-scheme: dark) {
+  :root {
+    --background: #0a0a0a;
+    --foreground: #ededed;
+  }
+}
+
+body {
+  background: var(--background);
+  color: var(--foreground);
+  font-family: Arial, Helvetica, sans-serif;
+}
+`;
+
+// Files that exist after create-next-app and are read by later steps
+export function dryRunSeeds(directory, projectName) {
+  const packageJson = {
+    name: projectName,
+    version: '0.1.0',
+    private: true,
+    scripts: { dev: 'next dev', build: 'next build', start: 'next start' },
+    dependencies: {},
+  };
+
+  return {
+    [join(directory, 'app/layout.tsx')]: NEXT_APP_LAYOUT,
+    [join(directory, 'app/globals.css')]: NEXT_APP_GLOBALS_CSS,
+    [join(directory, '.gitignore')]: NEXT_APP_GITIGNORE,
+    [join(directory, 'package.json')]: `${JSON.stringify(packageJson, null, 2)}\n`,
+  };
+}
+
+function formatSize(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} kB`;
+}
+
+function quote(arg) {
+  return /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replaceAll("'", "'\\''")}'`;
+}
+
+// `diffPaths` lists the files to print a diff for, relative to the cwd, and
+// `diffBase` describes what they are compared against
+export function printPlan(plan, { diffPaths = [], diffBase = 'the create-next-app default' } = {}) {
+  console.log('\n📋 Dry run: nothing was executed or written.\n');
+
+  if (plan.removals.length > 0) {
+    console.log('Directories that would be removed:');
+    for (const path of plan.removals) {
+      console.log(`  ${path}`);
+    }
+    console.log('');
+  }
+
+  console.log(`Commands (${plan.commands.length}):`);
+  for (const { command, args, cwd } of plan.commands) {
+    const location = cwd === '.' ? '' : `(in ${cwd}) `;
+    console.log(`  ${location}$ ${[command, ...args].map(quote).join(' ')}`);
+  }
+
+  // A file written twice is listed once, with its final size
+  const files = new Map();
+  for (const write of plan.writes) {
+    const first = files.get(write.path) ?? write;
+    files.set(write.path, { ...write, before: first.before });
+  }
+
+  const width = Math.max(0, ...[...files.keys()].map((path) => path.length));
+  console.log(`\nFiles (${files.size}):`);
+  for (const { path, size, before } of files.values()) {
+    const status = before === null ? '' : '  (modified)';
+    console.log(`  ${path.padEnd(width)}  ${formatSize(size).padStart(8)}${status}`);
+  }
+
+  for (const path of diffPaths) {
+    const file = files.get(path);
+    if (!file) continue;
+    console.log(`\nChanges to ${path} (against ${diffBase}):\n`);
+    console.log(createPatch(path, file.before ?? '', file.after, '', '', { context: 3 }).trimEnd());
+  }
+}
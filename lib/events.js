@@ -0,0 +1,18 @@
+import { EventEmitter } from 'events';
+
+// Runs `task(events)` on the next tick and returns its promise with on() and
+// off(), so callers can subscribe before the first event is emitted
+export function withEvents(task) {
+  const events = new EventEmitter();
+  const promise = Promise.resolve().then(() => task(events));
+  return Object.assign(promise, {
+    on(event, listener) {
+      events.on(event, listener);
+      return promise;
+    },
+    off(event, listener) {
+      events.off(event, listener);
+      return promise;
+    },
+  });
+}
@@ -0,0 +1,202 @@
+import { dirname, join } from 'path';
+import { NAV_PLACEMENTS } from './config.js';
+import { withEvents } from './events.js';
+import { quoteRoute, renderFile } from './generators.js';
+import { createRunIO, trackIO } from './io.js';
+import { PAGE_OPTIONS, defaultOptions } from './options.js';
+import { detectProject, projectOptions } from './project.js';
+
+const SITE_CONFIG = 'lib/site-config.ts';
+const PAGE_NAME = /^[a-z0-9]+(-[a-z0-9]+)*(\/[a-z0-9]+(-[a-z0-9]+)*)*$/;
+const PARAM_NAME = /^[a-zA-Z_]\w*$/;
+const PAGE_FILES = ['page.tsx', 'page.jsx', 'page.js', 'page.mdx'];
+
+// The dynamic page declares `const { <param> } = await params`, so the param
+// can be neither a name the template uses nor a reserved word
+const TEMPLATE_NAMES = ['params', 'section', 'Props', 'Link', 'Metadata', 'generateMetadata'];
+const RESERVED_WORDS = [
+  'arguments', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete',
+  'do', 'else', 'enum', 'eval', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'implements',
+  'import', 'in', 'instanceof', 'interface', 'let', 'new', 'null', 'package', 'private', 'protected', 'public',
+  'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while',
+  'with', 'yield',
+];
+
+// Segment files added next to the page, with the shadcn/ui component each uses
+const SEGMENT_FILES = {
+  withLoading: { template: 'app/loading.tsx', file: 'loading.tsx', component: 'skeleton' },
+  withError: { template: 'app/error.tsx', file: 'error.tsx', component: 'button' },
+};
+
+function titleCase(name) {
+  return name.split('-').map((word) => word[0].toUpperCase() + word.slice(1)).join(' ');
+}
+
+function pascalCase(name) {
+  return titleCase(name).replaceAll(' ', '');
+}
+
+// An identifier cannot start with a digit, so a page named 2024 becomes Page2024
+function componentName(...names) {
+  const name = names.map(pascalCase).join('');
+  return /^\d/.test(name) ? `Page${name}` : `${name}Page`;
+}
+
+// The mobile menu stands in for the header on small screens, so a page in the
+// header is in the mobile menu too
+function navPlacement(nav) {
+  if (nav === 'none') return [];
+  const places = nav.split(',').map((place) => place.trim());
+  if (places.includes('header')) places.push('mobile');
+  return NAV_PLACEMENTS.filter((place) => places.includes(place));
+}
+
+function pageErrors(name, options, navGiven) {
+  const errors = [];
+  if (!PAGE_NAME.test(name ?? '')) {
+    errors.push(`Invalid page name "${name ?? ''}": use lowercase letters, digits and dashes, with "/" between segments`);
+  }
+  if (options.dynamic !== null && !PARAM_NAME.test(options.dynamic)) {
+    errors.push(`Invalid --dynamic "${options.dynamic}": use a valid identifier such as slug or id`);
+  } else if (TEMPLATE_NAMES.includes(options.dynamic) || RESERVED_WORDS.includes(options.dynamic)) {
+    errors.push(`Invalid --dynamic "${options.dynamic}": the name is taken in the page; pick another such as slug or id`);
+  }
+  const nav = options.nav.split(',').map((place) => place.trim());
+  if (options.nav !== 'none' && nav.some((place) => !NAV_PLACEMENTS.includes(place))) {
+    errors.push(`Invalid --nav "${options.nav}": use a comma-separated list of ${NAV_PLACEMENTS.join(', ')}, or "none"`);
+  }
+  if (options.dynamic !== null && navGiven) {
+    errors.push('--nav cannot be used with --dynamic: dynamic routes are not linked from the navigation');
+  }
+  return errors;
+}
+
+// Create app/<name>/page.tsx (or app/<name>/[param]/page.tsx with `dynamic`)
+// in the project in `cwd` and register it in lib/site-config.ts, which the
+// header, mobile menu, footer and sitemap render from. Files that exist with
+// different content are rejected unless `force` is set. Takes `fs` and
+// `runner` and emits the events like addFeatures().
+export function generatePage(name, input = {}) {
+  const { cwd, stdio, fs, runner, ...rest } = input;
+  return withEvents((events) => generate(name, rest, { cwd, stdio, fs, runner }, events));
+}
+
+async function generate(name, input, context, events) {
+  const options = { ...defaultOptions(PAGE_OPTIONS), ...input };
+  const errors = pageErrors(name, options, input.nav !== undefined);
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+
+  const baseIO = createRunIO({ ...context, dryRun: input.dryRun });
+  const project = await detectProject(baseIO);
+  Object.assign(options, projectOptions(project, options));
+
+  const segment = name.split('/').at(-1);
+  const path = `/${name}`;
+  const title = options.title ?? titleCase(segment);
+  const dir = options.dynamic ? join('app', name, `[${options.dynamic}]`) : join('app', name);
+  const page = {
+    title: JSON.stringify(title),
+    component: componentName(segment, ...(options.dynamic ? [options.dynamic] : [])),
+    param: options.dynamic,
+    parentPath: JSON.stringify(path),
+    // The dynamic page only links back to its section when that has a page
+    hasParent: PAGE_FILES.some((file) => baseIO.exists(join('app', name, file))),
+  };
+  const route = options.dynamic ? null : {
+    label: title,
+    path,
+    placement: navPlacement(options.nav),
+    sitemap: { changeFrequency: 'monthly', priority: 0.8 },
+  };
+
+  if (route && !baseIO.exists(SITE_CONFIG)) {
+    throw new Error(`${SITE_CONFIG} not found. Add the route manifest first: create-geo-app add site-config`);
+  }
+
+  const result = {
+    projectDir: baseIO.cwd,
+    dryRun: options.dryRun,
+    route: options.dynamic ? `${path}/[${options.dynamic}]` : path,
+    files: [],
+    commands: [],
+    registered: false,
+    warnings: [],
+  };
+  const io = trackIO(baseIO, events, result);
+
+  if (options.dynamic && !page.hasParent) {
+    const warning = `${path} has no page, so ${result.route} has no back link (run: create-geo-app generate page ${name})`;
+    result.warnings.push(warning);
+    events.emit('warning', { message: warning });
+  }
+
+  const files = [{
+    path: join(dir, 'page.tsx'),
+    content: await renderFile(`generate/${options.dynamic ? 'dynamic-page' : 'page'}.tsx`, options, { page }),
+  }];
+  for (const [key, { template, file, component }] of Object.entries(SEGMENT_FILES)) {
+    if (!options[key]) continue;
+    files.push({ path: join(dir, file), content: await renderFile(template, options) });
+    if (!io.exists(`components/ui/${component}.tsx`)) {
+      const warning = `${file} uses components/ui/${component}.tsx, which is not in the project (run: npx shadcn@latest add ${component})`;
+      result.warnings.push(warning);
+      events.emit('warning', { message: warning });
+    }
+  }
+
+  // Check everything first so a conflict leaves the project untouched
+  const writes = [];
+  const conflicts = [];
+  for (const file of files) {
+    if (io.exists(file.path)) {
+      if (await io.readFile(file.path) === file.content) {
+        events.emit('skip', { path: file.path });
+        continue;
+      }
+      if (!options.force) {
+        conflicts.push(file.path);
+        continue;
+      }
+    }
+    writes.push(file);
+  }
+  if (conflicts.length > 0) {
+    const error = new Error(`${conflicts.length} file(s) already exist with different content: ${conflicts.join(', ')}. Pass --force to overwrite them.`);
+    error.conflicts = conflicts;
+    throw error;
+  }
+
+  if (writes.length > 0) {
+    events.emit('step:start', { name: 'page', title: `📄 Creating the ${result.route} page...` });
+    for (const { path: file, content } of writes) {
+      await io.mkdir(dirname(file), { recursive: true });
+      await io.writeFile(file, content);
+    }
+  }
+
+  if (route) {
+    const siteConfig = await io.readFile(SITE_CONFIG);
+    if (siteConfig.includes(`path: ${JSON.stringify(path)},`)) {
+      events.emit('skip', { path: SITE_CONFIG });
+    } else {
+      // The entry goes right before the `]` closing the routes array
+      const start = siteConfig.indexOf('export const routes');
+      const end = start === -1 ? -1 : siteConfig.indexOf('\n]', start);
+      if (end === -1) {
+        throw new Error(`Could not find the routes array in ${SITE_CONFIG}; add the ${path} route by hand`);
+      }
+      events.emit('step:start', { name: 'site-config', title: '🗺️  Registering the route...' });
+      const entry = await renderFile('generate/route.ts', options, { route: quoteRoute(route) });
+      await io.writeFile(SITE_CONFIG, `${siteConfig.slice(0, end + 1)}${entry}${siteConfig.slice(end + 1)}`);
+      result.registered = true;
+    }
+  }
+
+  result.files = [...io.files.values()];
+  if (io.dryRun) {
+    result.plan = baseIO.plan;
+  }
+  return result;
+}
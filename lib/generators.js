@@ -0,0 +1,265 @@
+import { dirname } from 'path';
+import {
+  ANALYTICS_PROVIDERS,
+  DB_DIALECTS,
+  FEATURES,
+  PROXY_RECIPES,
+  getFeature,
+  resolveAnalyticsProvider,
+  resolveDbDialect,
+  resolveFeatures,
+  resolveProxyRecipes,
+} from './features.js';
+import { editRootLayout } from './layout.js';
+import { FONTS, PAGES, displayName, importPrefix, resolvePages, toCamelCase } from './options.js';
+import { getPackageManager } from './package-manager.js';
+import { DEFAULT_ENV, ENV_SCHEMAS, MAIL_ENV, renderTemplate } from './templates.js';
+
+// The pieces the generator writes into a project: rendered templates, the
+// root layout wiring and feature dependencies. Used both when creating a
+// project and by `create-geo-app add`.
+
+const HOME_ROUTE = {
+  label: 'Home',
+  path: '/',
+  placement: ['header', 'mobile'],
+  sitemap: { changeFrequency: 'yearly', priority: 1 },
+};
+
+// Linked when the blog feature is enabled; its posts and tag pages are
+// added to the sitemap by app/sitemap.ts itself
+const BLOG_ROUTE = {
+  label: 'Blog',
+  path: '/blog',
+  placement: ['header', 'mobile', 'footer'],
+  sitemap: { changeFrequency: 'weekly', priority: 0.7 },
+};
+
+export function enabledFeatures(options) {
+  return resolveFeatures({
+    features: options.features,
+    without: options.without,
+    pages: resolvePages(options),
+    withTests: options.withTests,
+    db: options.db,
+    blog: options.blog,
+    analytics: options.analytics,
+  });
+}
+
+// Paths of the pages this run generates, used to filter navigation links
+function generatedPaths(options) {
+  const features = enabledFeatures(options);
+  const pages = features.filter((name) => getFeature(name).page);
+  const blog = features.includes('blog') ? [BLOG_ROUTE.path] : [];
+  return new Set([HOME_ROUTE.path, ...pages.map((page) => PAGES[page].path), ...blog]);
+}
+
+// A lib/site-config.ts entry with every value quoted for TypeScript
+export function quoteRoute(route) {
+  return {
+    label: JSON.stringify(route.label),
+    path: JSON.stringify(route.path),
+    placement: route.placement.map((place) => JSON.stringify(place)).join(', '),
+    highlight: Boolean(route.highlight),
+    sitemap: route.sitemap && {
+      changeFrequency: JSON.stringify(route.sitemap.changeFrequency),
+      priority: route.sitemap.priority,
+    },
+  };
+}
+
+// Entries of lib/site-config.ts: home, the generated pages with the blog
+// before the highlighted ones (the header button stays last) and preset
+// navLinks
+function siteRoutes(options, paths) {
+  const pages = Object.values(PAGES).filter((page) => paths.has(page.path));
+  const blog = paths.has(BLOG_ROUTE.path) ? [BLOG_ROUTE] : [];
+  const links = (options.navLinks ?? []).map((link) => ({ ...link, sitemap: null }));
+  return [
+    HOME_ROUTE,
+    ...pages.filter((page) => !page.highlight),
+    ...blog,
+    ...pages.filter((page) => page.highlight),
+    ...links,
+  ].map(quoteRoute);
+}
+
+// Entries of the public (NEXT_PUBLIC_*) and server schemas in lib/env.ts
+function envSchema(keys) {
+  const entries = keys.map((key) => ({ key, schema: ENV_SCHEMAS[key] ?? 'z.string().optional()' }));
+  return {
+    public: entries.filter(({ key }) => key.startsWith('NEXT_PUBLIC_')),
+    server: entries.filter(({ key }) => !key.startsWith('NEXT_PUBLIC_')),
+  };
+}
+
+// config.matcher of proxy.ts: every path a handler in the chain runs on.
+// Matchers are alternatives, so the union is only deduplicated.
+function proxyMatcher(recipes) {
+  const patterns = [...getFeature('proxy').matcher, ...recipes.flatMap((name) => PROXY_RECIPES[name].matcher)];
+  return [...new Set(patterns)].map((pattern) => `'${pattern}'`);
+}
+
+// Values available to every template as <%= name %>
+export function templateVariables(options) {
+  const paths = generatedPaths(options);
+  const pm = getPackageManager(options.packageManager);
+  const features = enabledFeatures(options);
+  const recipes = resolveProxyRecipes(options.proxy);
+  const dialect = resolveDbDialect(options.db);
+  const provider = resolveAnalyticsProvider(options.analytics);
+  const env = {
+    NEXT_PUBLIC_APP_NAME: displayName(options.projectName),
+    ...DEFAULT_ENV,
+    ...(features.includes('contact') ? MAIL_ENV : {}),
+    ...(features.includes('db') ? { DATABASE_URL: DB_DIALECTS[dialect].url } : {}),
+    ...(features.includes('analytics') ? { [ANALYTICS_PROVIDERS[provider].env]: '' } : {}),
+    ...options.env,
+  };
+
+  return {
+    projectName: options.projectName,
+    color: options.baseColor,
+    font: FONTS[options.font],
+    env,
+    envEntries: Object.entries(env).map(([key, value]) => ({ key, value: JSON.stringify(value) })),
+    envSchema: envSchema(Object.keys(env)),
+    installCommand: pm.installAllCommand,
+    devCommand: pm.runCommand('dev'),
+    features: Object.fromEntries(
+      FEATURES.map(({ name }) => [toCamelCase(name), features.includes(name)]),
+    ),
+    pages: Object.fromEntries(
+      Object.keys(PAGES).map((page) => [toCamelCase(page), paths.has(PAGES[page].path)]),
+    ),
+    routes: siteRoutes(options, paths),
+    proxyRecipes: Object.fromEntries(
+      Object.keys(PROXY_RECIPES).map((name) => [toCamelCase(name), recipes.includes(name)]),
+    ),
+    proxyMatcher: proxyMatcher(recipes),
+    db: {
+      sqlite: dialect === 'sqlite',
+      postgres: dialect === 'postgres',
+      // drizzle-kit names PostgreSQL "postgresql"
+      kitDialect: dialect === 'postgres' ? 'postgresql' : dialect,
+      pushCommand: pm.runCommand('db:push'),
+      studioCommand: pm.runCommand('db:studio'),
+    },
+    analytics: {
+      ga: provider === 'ga',
+      gtm: provider === 'gtm',
+      plausible: provider === 'plausible',
+      label: ANALYTICS_PROVIDERS[provider].label,
+      env: ANALYTICS_PROVIDERS[provider].env,
+      privacy: ANALYTICS_PROVIDERS[provider].privacy,
+    },
+  };
+}
+
+// Content of templates/<path> (or its --template-dir override) for the
+// project. `variables` are added to the template variables.
+export async function renderFile(path, options, variables = {}) {
+  const content = await renderTemplate(path, { ...templateVariables(options), ...variables }, options.templateDir);
+  return applyImportAlias(content, options);
+}
+
+export async function writeTemplate(io, path, options) {
+  await io.mkdir(dirname(path), { recursive: true });
+  await io.writeFile(path, await renderFile(path, options));
+}
+
+export async function updateRootLayout(io, options, features) {
+  const layoutPath = 'app/layout.tsx';
+  const original = await io.readFile(layoutPath, 'utf-8');
+  const layoutContent = editRootLayout(original, options, features);
+  if (layoutContent !== original) {
+    await io.writeFile(layoutPath, layoutContent);
+  }
+}
+
+// Append the .gitignore lines `features` need that the project's .gitignore
+// does not have yet
+export async function updateGitignore(io, features) {
+  const lines = [...new Set(features.flatMap((name) => getFeature(name).gitignore ?? []))];
+  const current = io.exists('.gitignore') ? await io.readFile('.gitignore') : '';
+  const existing = new Set(current.split('\n').map((line) => line.trim()));
+  const missing = lines.filter((line) => !existing.has(line));
+  if (missing.length === 0) return;
+
+  const separator = current === '' || current.endsWith('\n') ? '' : '\n';
+  await io.writeFile('.gitignore', `${current}${separator}${missing.join('\n')}\n`);
+}
+
+// Add the app/globals.css lines `features` need that it does not have yet,
+// after its @import and @plugin lines (Tailwind wants them at the top)
+export async function updateStylesheet(io, features) {
+  const path = 'app/globals.css';
+  const lines = [...new Set(features.flatMap((name) => getFeature(name).stylesheet ?? []))];
+  if (lines.length === 0 || !io.exists(path)) return;
+  const current = await io.readFile(path);
+  const existing = current.split('\n');
+  const missing = lines.filter((line) => !existing.some((entry) => entry.trim() === line));
+  if (missing.length === 0) return;
+
+  const last = existing.findLastIndex((line) => /^@(import|plugin)\b/.test(line));
+  existing.splice(last + 1, 0, ...missing);
+  await io.writeFile(path, existing.join('\n'));
+}
+
+// Append the variables the env files list that .env.local does not set yet.
+// The values already there are the user's own and stay as they are.
+export async function updateEnvLocal(io, options) {
+  if (!io.exists('.env.local')) return;
+  const current = await io.readFile('.env.local');
+  const defined = new Set([...current.matchAll(/^\s*(?:export\s+)?([A-Za-z_]\w*)\s*=/gm)].map(([, key]) => key));
+  const missing = templateVariables(options).envEntries.filter(({ key }) => !defined.has(key));
+  if (missing.length === 0) return;
+
+  const separator = current === '' || current.endsWith('\n') ? '' : '\n';
+  const lines = missing.map(({ key, value }) => `${key}=${value}`);
+  await io.writeFile('.env.local', `${current}${separator}${lines.join('\n')}\n`);
+}
+
+// Add the package.json scripts `features` define, keeping any script of the
+// same name the project already has
+export async function updatePackageScripts(io, features) {
+  const scripts = Object.assign({}, ...features.map((name) => getFeature(name).scripts ?? {}));
+  const packageJson = JSON.parse(await io.readFile('package.json'));
+  const missing = Object.entries(scripts).filter(([name]) => packageJson.scripts?.[name] === undefined);
+  if (missing.length === 0) return;
+
+  packageJson.scripts = { ...packageJson.scripts, ...Object.fromEntries(missing) };
+  await io.writeFile('package.json', `${JSON.stringify(packageJson, null, 2)}\n`);
+}
+
+// Rewrite every quoted "@/" module specifier to the configured import alias,
+// including the ones passed to vi.mock() and dynamic import()
+function applyImportAlias(content, options) {
+  const prefix = importPrefix(options);
+  return prefix === '@/' ? content : content.replace(/(["'])@\//g, (_, quote) => `${quote}${prefix}`);
+}
+
+// `dev` installs them as devDependencies
+export async function installDependencies(io, packages, options, { dev = false } = {}) {
+  if (options.install && !options.offline) {
+    const pm = getPackageManager(options.packageManager);
+    await io.run(pm.name, pm.installArgs(packages, { dev }));
+    return;
+  }
+
+  // Record the dependencies without installing them
+  const packageJson = JSON.parse(await io.readFile('package.json'));
+  const key = dev ? 'devDependencies' : 'dependencies';
+  for (const spec of packages) {
+    const [name, version] = splitPackageSpec(spec);
+    packageJson[key] = { ...packageJson[key], [name]: version };
+  }
+  await io.writeFile('package.json', `${JSON.stringify(packageJson, null, 2)}\n`);
+}
+
+// "@next/third-parties@latest" -> ["@next/third-parties", "latest"]
+export function splitPackageSpec(spec) {
+  const at = spec.lastIndexOf('@');
+  return at > 0 ? [spec.slice(0, at), spec.slice(at + 1)] : [spec, 'latest'];
+}
@@ -0,0 +1,243 @@
+import { execa } from 'execa';
+import { existsSync } from 'fs';
+import { mkdir, readdir, readFile, rm, writeFile } from 'fs/promises';
+import { dirname, relative, resolve, sep } from 'path';
+
+// Everything the generator does to the outside world goes through an io
+// object: a file system and a command runner, plus the directory relative
+// paths are resolved against. Each io keeps its own working directory, so the
+// process's is never changed and several runs can share one process.
+//
+// File systems take absolute paths:
+//   readFile(path, encoding)  (encoding null reads a Buffer)
+//   writeFile(path, content), mkdir(path, options), rm(path, options)
+//   readdir(path), exists(path) (synchronous)
+// Runners take `{ cwd }` with an absolute directory:
+//   run(command, args, options)
+
+export function createNodeFS() {
+  return {
+    readFile: (path, encoding) => readFile(path, encoding),
+    writeFile: (path, content) => writeFile(path, content),
+    mkdir: (path, options) => mkdir(path, options),
+    rm: (path, options) => rm(path, options),
+    readdir: (path) => readdir(path),
+    exists: (path) => existsSync(path),
+  };
+}
+
+function notFound(path) {
+  const error = new Error(`ENOENT: no such file or directory, open '${path}'`);
+  error.code = 'ENOENT';
+  return error;
+}
+
+// A file system held in a Map, for running the generator without touching
+// the disk. `files` maps absolute paths to their content. `tree(dir)` returns
+// the files below `dir` keyed by relative path, sorted, e.g. to snapshot what
+// a run generated.
+export function createMemoryFS(files = {}) {
+  const contents = new Map(Object.entries(files).map(([path, content]) => [resolve(path), content]));
+  const dirs = new Set();
+  const below = (dir) => (path) => path.startsWith(`${dir}${sep}`);
+  const isDir = (path) => dirs.has(path) || [...contents.keys()].some(below(path));
+  const addDirs = (path) => {
+    for (let dir = path; !dirs.has(dir) && dirname(dir) !== dir; dir = dirname(dir)) {
+      dirs.add(dir);
+    }
+  };
+
+  return {
+    async readFile(path, encoding) {
+      const content = contents.get(path);
+      if (content === undefined) throw notFound(path);
+      if (encoding === null) return Buffer.from(content);
+      return typeof content === 'string' ? content : content.toString(encoding);
+    },
+    async writeFile(path, content) {
+      addDirs(dirname(path));
+      contents.set(path, content);
+    },
+    async mkdir(path) {
+      addDirs(path);
+    },
+    async rm(path, { force = false } = {}) {
+      if (!contents.has(path) && !isDir(path)) {
+        if (force) return;
+        throw notFound(path);
+      }
+      contents.delete(path);
+      dirs.delete(path);
+      for (const file of [...contents.keys()].filter(below(path))) contents.delete(file);
+      for (const dir of [...dirs].filter(below(path))) dirs.delete(dir);
+    },
+    async readdir(path) {
+      if (!isDir(path)) throw notFound(path);
+      const names = [...contents.keys(), ...dirs].filter(below(path)).map((entry) => relative(path, entry).split(sep)[0]);
+      return [...new Set(names)].sort();
+    },
+    exists: (path) => contents.has(path) || isDir(path),
+    tree(dir) {
+      const root = resolve(dir);
+      return Object.fromEntries([...contents.entries()]
+        .filter(([path]) => below(root)(path))
+        .map(([path, content]) => [relative(root, path), content])
+        .sort(([a], [b]) => a.localeCompare(b)));
+    },
+  };
+}
+
+// `stdio` is passed to execa: the CLI shows command output, the API pipes it.
+export function createCommandRunner({ stdio = 'inherit' } = {}) {
+  return {
+    run: (command, args, options) => execa(command, args, { stdio, ...options }),
+  };
+}
+
+// Records every command in `commands` ({ command, args, cwd }) instead of
+// running it. `respond(command)` stands in for the real program, e.g. by
+// writing the files create-next-app would have written to a memory file
+// system.
+export function createRecordingRunner(respond = async () => {}) {
+  const commands = [];
+  return {
+    commands,
+    async run(command, args, { cwd } = {}) {
+      const entry = { command, args, cwd };
+      commands.push(entry);
+      return respond(entry);
+    },
+  };
+}
+
+// An io object over `fs` and `runner`, with `cwd` as its working directory.
+// chdir() only changes that directory.
+export function createIO({ fs = createNodeFS(), runner = createCommandRunner(), cwd = process.cwd() } = {}) {
+  let current = resolve(cwd);
+  const at = (path) => resolve(current, path);
+
+  return {
+    dryRun: false,
+    fs,
+    get cwd() {
+      return current;
+    },
+    resolve: at,
+    run: (command, args, options = {}) => runner.run(command, args, { ...options, cwd: at(options.cwd ?? '.') }),
+    readFile: (path, encoding = 'utf-8') => fs.readFile(at(path), encoding),
+    writeFile: (path, content) => fs.writeFile(at(path), content),
+    mkdir: (path, options) => fs.mkdir(at(path), options),
+    rm: (path, options) => fs.rm(at(path), options),
+    readdir: (path) => fs.readdir(at(path)),
+    exists: (path) => fs.exists(at(path)),
+    chdir(dir) {
+      current = at(dir);
+    },
+  };
+}
+
+export function createDiskIO({ stdio = 'inherit', cwd } = {}) {
+  return createIO({ runner: createCommandRunner({ stdio }), cwd });
+}
+
+// Records commands and writes in `plan` and keeps written files in memory.
+// `seeds` maps paths (relative to `cwd`) to the content create-next-app would
+// have produced, so later steps can read and edit it. Files that were neither
+// seeded nor written are read from `fs`. Paths in the plan are relative to
+// `cwd`.
+export function createDryRunIO(seeds = {}, { fs = createNodeFS(), cwd = process.cwd() } = {}) {
+  const root = resolve(cwd);
+  const files = new Map(Object.entries(seeds).map(([path, content]) => [resolve(root, path), content]));
+  const plan = { commands: [], writes: [], removals: [] };
+  let current = root;
+
+  const at = (path) => resolve(current, path);
+  const show = (path) => relative(root, path) || '.';
+  // Files on `fs` count until their directory is removed by the run
+  const removed = (path) => plan.removals.some((dir) => {
+    const removedDir = resolve(root, dir);
+    return path === removedDir || path.startsWith(`${removedDir}${sep}`);
+  });
+  const onDisk = (path) => fs.exists(path) && !removed(path);
+  const read = async (path) => files.get(path) ?? (onDisk(path) ? fs.readFile(path, 'utf-8') : null);
+
+  return {
+    dryRun: true,
+    plan,
+    fs,
+    get cwd() {
+      return current;
+    },
+    resolve: at,
+    async run(command, args, options = {}) {
+      plan.commands.push({ command, args, cwd: show(at(options.cwd ?? '.')) });
+    },
+    async readFile(path) {
+      const content = await read(at(path));
+      if (content === null) throw notFound(show(at(path)));
+      return content;
+    },
+    async writeFile(path, content) {
+      const file = at(path);
+      plan.writes.push({
+        path: show(file),
+        size: Buffer.byteLength(content),
+        before: await read(file),
+        after: content,
+      });
+      files.set(file, content);
+    },
+    async mkdir() {},
+    async rm(path) {
+      plan.removals.push(show(at(path)));
+    },
+    async readdir(path) {
+      const dir = at(path);
+      const names = onDisk(dir) ? await fs.readdir(dir) : [];
+      for (const file of files.keys()) {
+        if (file.startsWith(`${dir}${sep}`)) names.push(relative(dir, file).split(sep)[0]);
+      }
+      return [...new Set(names)];
+    },
+    exists: (path) => files.has(at(path)) || onDisk(at(path)),
+    chdir(dir) {
+      current = at(dir);
+    },
+  };
+}
+
+// Wraps an io object to report every command and file write as events and
+// in `result` (`commands`, plus file paths relative to `result.projectDir`)
+export function trackIO(io, events, result) {
+  const files = new Map();
+
+  return {
+    ...io,
+    files,
+    get cwd() {
+      return io.cwd;
+    },
+    async run(command, args, options = {}) {
+      const started = Date.now();
+      const cwd = io.resolve(options.cwd ?? '.');
+      events.emit('command', { command, args, cwd });
+      const output = await io.run(command, args, options);
+      result.commands.push({ command, args, cwd, duration: Date.now() - started });
+      return output;
+    },
+    async writeFile(path, content) {
+      await io.writeFile(path, content);
+      const file = { path: relative(result.projectDir, io.resolve(path)), size: Buffer.byteLength(content) };
+      files.set(file.path, file);
+      events.emit('file', file);
+    },
+  };
+}
+
+// The io object for an API call: `fs` and `runner` replace the disk and
+// execa, `cwd` (default: the process's) is the directory it works in, and
+// `dryRun` records the work instead of doing it
+export function createRunIO({ fs, runner, cwd = process.cwd(), stdio = 'pipe', dryRun = false }, seeds) {
+  if (dryRun) return createDryRunIO(seeds, { fs, cwd });
+  return createIO({ fs, runner: runner ?? createCommandRunner({ stdio }), cwd });
+}
@@ -0,0 +1,274 @@
+import { parse } from '@babel/parser';
+import { FONTS, importPrefix } from './options.js';
+
+// Edits to app/layout.tsx, made on the syntax tree of the file so the rest of
+// it (create-next-app's fonts, metadata, body className) is kept as is. Each
+// edit re-parses the result, and the finished layout is checked for every
+// piece the enabled features need.
+
+const LAYOUT = 'app/layout.tsx';
+
+// Features that are wired up in the root layout
+export const LAYOUT_FEATURES = ['theme', 'navigation', 'fonts', 'analytics'];
+
+const THEME_PROVIDER = [
+  '<ThemeProvider',
+  '  attribute="class"',
+  '  defaultTheme="system"',
+  '  enableSystem',
+  '  disableTransitionOnChange',
+  '>',
+];
+
+const NAVIGATION = [
+  '<div className="min-h-screen flex flex-col">',
+  '  <Header />',
+  '  <main className="flex-1 bg-white dark:bg-black">',
+];
+
+// The banner and the analytics component go after the page content, inside
+// the provider that holds the visitor's answer
+const CONSENT_END = ['  <CookieBanner />', '  <Analytics />', '</ConsentProvider>'];
+
+function parseLayout(source) {
+  try {
+    return parse(source, { sourceType: 'module', plugins: ['typescript', 'jsx'] }).program;
+  } catch (error) {
+    throw new Error(`Could not parse ${LAYOUT}: ${error.message}`);
+  }
+}
+
+function elementName(node) {
+  return node?.type === 'JSXElement' && node.openingElement.name.type === 'JSXIdentifier'
+    ? node.openingElement.name.name
+    : null;
+}
+
+// First JSX element named `name` below `node` (depth first)
+function findElement(node, name) {
+  for (const child of node.children ?? []) {
+    if (elementName(child) === name) return child;
+    const found = child.type === 'JSXElement' || child.type === 'JSXFragment' ? findElement(child, name) : null;
+    if (found) return found;
+  }
+  return null;
+}
+
+function findAttribute(element, name) {
+  return element.openingElement.attributes.find((attribute) => attribute.type === 'JSXAttribute' && attribute.name.name === name);
+}
+
+function defaultExportFunction(program) {
+  const declaration = program.body.find((node) => node.type === 'ExportDefaultDeclaration')?.declaration;
+  if (declaration?.type !== 'Identifier') return declaration;
+
+  for (const node of program.body) {
+    if (node.type === 'FunctionDeclaration' && node.id?.name === declaration.name) return node;
+    if (node.type === 'VariableDeclaration') {
+      const declarator = node.declarations.find((item) => item.id.name === declaration.name);
+      if (declarator) return declarator.init;
+    }
+  }
+  return null;
+}
+
+// The <html> and <body> elements returned by the default export. Anything
+// else is a layout this module does not know how to edit.
+function layoutShape(program) {
+  const component = defaultExportFunction(program);
+  let returned = null;
+  if (component?.body?.type === 'BlockStatement') {
+    returned = component.body.body.find((node) => node.type === 'ReturnStatement')?.argument;
+  } else if (component?.body) {
+    returned = component.body;
+  }
+
+  const body = elementName(returned) === 'html'
+    ? returned.children.find((child) => elementName(child) === 'body')
+    : null;
+  if (!body?.closingElement) {
+    throw new Error(
+      `${LAYOUT} does not have the expected shape: its default export must return <html> with a <body> element around {children}. `
+      + 'Wire up the theme, navigation, fonts and analytics by hand, or leave those features out.',
+    );
+  }
+  return { html: returned, body };
+}
+
+// Apply `edits` ({ start, end, text }) to `source`, last one first. Edits
+// at the same offset end up in the order they were listed.
+function splice(source, edits) {
+  return [...edits]
+    .reverse()
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, { start, end, text }) => result.slice(0, start) + text + result.slice(end), source);
+}
+
+function lineIndent(source, offset) {
+  const start = source.lastIndexOf('\n', offset - 1) + 1;
+  return source.slice(start).match(/^[ \t]*/)[0];
+}
+
+function importLines(options, features) {
+  const prefix = importPrefix(options);
+  return [
+    features.includes('fonts') && { name: FONTS[options.font].name, from: `${prefix}lib/fonts` },
+    features.includes('theme') && { name: 'ThemeProvider', from: `${prefix}components/theme-provider` },
+    features.includes('navigation') && { name: 'Header', from: `${prefix}components/header` },
+    features.includes('navigation') && { name: 'Footer', from: `${prefix}components/footer` },
+    features.includes('analytics') && { name: 'ConsentProvider', from: `${prefix}components/consent-provider` },
+    features.includes('analytics') && { name: 'CookieBanner', from: `${prefix}components/cookie-banner` },
+    features.includes('analytics') && { name: 'Analytics', from: `${prefix}components/analytics` },
+  ].filter(Boolean);
+}
+
+// Any import of `name` counts, wherever it is imported from
+function hasImport(program, { name }) {
+  return program.body.some((node) => node.type === 'ImportDeclaration'
+    && node.specifiers.some((specifier) => specifier.local.name === name));
+}
+
+// Add the missing imports after the last one, in the file's semicolon style
+function addImports(source, imports) {
+  const program = parseLayout(source);
+  const missing = imports.filter((item) => !hasImport(program, item));
+  if (missing.length === 0) return source;
+
+  const last = program.body.filter((node) => node.type === 'ImportDeclaration').at(-1);
+  const semicolon = !last || source.slice(last.start, last.end).endsWith(';') ? ';' : '';
+  const lines = missing.map(({ name, from }) => `import { ${name} } from "${from}"${semicolon}`);
+  return last
+    ? splice(source, [{ start: last.end, end: last.end, text: `\n${lines.join('\n')}` }])
+    : `${lines.join('\n')}\n${source}`;
+}
+
+// Wrap the children of `element` in `before` ... `after`, indenting the
+// children by `depth` more spaces
+function wrapChildren(source, element, before, after, depth) {
+  const start = element.openingElement.end;
+  const end = element.closingElement.start;
+  const indent = lineIndent(source, element.start);
+  const lines = source.slice(start, end).split('\n');
+  while (lines.length > 0 && !lines[0].trim()) lines.shift();
+  while (lines.length > 0 && !lines.at(-1).trim()) lines.pop();
+  const common = Math.min(...lines.filter((line) => line.trim()).map((line) => line.match(/^\s*/)[0].length));
+  const children = lines.map((line) => (line.trim() ? `${' '.repeat(depth)}${line.slice(common).trimEnd()}` : ''));
+
+  const wrapped = [...before, ...children, ...after]
+    .map((line) => (line ? `${indent}  ${line}` : line));
+  return splice(source, [{ start, end, text: `\n${wrapped.join('\n')}\n${indent}` }]);
+}
+
+function wrapNavigation(source) {
+  const { body } = layoutShape(parseLayout(source));
+  if (findElement(body, 'Header')) return source;
+  // Inside the ThemeProvider when the layout already has one
+  const container = findElement(body, 'ThemeProvider') ?? body;
+  return wrapChildren(source, container, NAVIGATION, ['  </main>', '  <Footer />', '</div>'], 4);
+}
+
+// Around the navigation too, so the footer and pages can read the answer.
+// A provider that is already there gets whichever of the banner and the
+// analytics component it lacks.
+function wrapConsent(source) {
+  const { body } = layoutShape(parseLayout(source));
+  const provider = findElement(body, 'ConsentProvider');
+  if (!provider) {
+    const container = findElement(body, 'ThemeProvider') ?? body;
+    return wrapChildren(source, container, ['<ConsentProvider>'], CONSENT_END, 2);
+  }
+
+  const missing = ['CookieBanner', 'Analytics'].filter((name) => !findElement(provider, name));
+  if (missing.length === 0 || !provider.closingElement) return source;
+  const indent = lineIndent(source, provider.start);
+  const lines = missing.map((name) => `${indent}  <${name} />\n`).join('');
+  const start = source.lastIndexOf('\n', provider.closingElement.start - 1) + 1;
+  return splice(source, [{ start, end: start, text: lines }]);
+}
+
+function wrapTheme(source) {
+  const { body } = layoutShape(parseLayout(source));
+  if (findElement(body, 'ThemeProvider')) return source;
+  return wrapChildren(source, body, THEME_PROVIDER, ['</ThemeProvider>'], 2);
+}
+
+// suppressHydrationWarning for next-themes and the font variable, merged
+// into any className already on <html>
+function mergeHtmlAttributes(source, options, features) {
+  const { html } = layoutShape(parseLayout(source));
+  const opening = html.openingElement;
+  const insertAt = opening.attributes.at(-1)?.end ?? opening.name.end;
+  const edits = [];
+
+  if (features.includes('theme') && !findAttribute(html, 'suppressHydrationWarning')) {
+    edits.push({ start: insertAt, end: insertAt, text: ' suppressHydrationWarning' });
+  }
+
+  const variable = `${FONTS[options.font].name}.variable`;
+  const className = findAttribute(html, 'className');
+  if (features.includes('fonts') && !source.slice(opening.start, opening.end).includes(variable)) {
+    const value = className?.value;
+    if (!className) {
+      edits.push({ start: insertAt, end: insertAt, text: ` className={\`\${${variable}} antialiased\`}` });
+    } else if (value?.type === 'StringLiteral') {
+      edits.push({ start: value.start, end: value.end, text: `{\`\${${variable}} ${value.value}\`}` });
+    } else if (value?.expression?.type === 'TemplateLiteral') {
+      edits.push({ start: value.expression.start + 1, end: value.expression.start + 1, text: `\${${variable}} ` });
+    } else if (value?.type === 'JSXExpressionContainer') {
+      const expression = source.slice(value.expression.start, value.expression.end);
+      edits.push({ start: value.start, end: value.end, text: `{\`\${${variable}} \${${expression}}\`}` });
+    }
+  }
+
+  return splice(source, edits);
+}
+
+// What `features` need in the layout but `source` does not have. Throws when
+// the layout does not have the expected shape.
+export function missingLayoutPieces(source, options, features) {
+  const program = parseLayout(source);
+  const { html, body } = layoutShape(program);
+  const missing = importLines(options, features)
+    .filter((item) => !hasImport(program, item))
+    .map(({ name, from }) => `import { ${name} } from "${from}"`);
+
+  if (features.includes('theme')) {
+    if (!findElement(body, 'ThemeProvider')) missing.push('<ThemeProvider> around the body content');
+    if (!findAttribute(html, 'suppressHydrationWarning')) missing.push('suppressHydrationWarning on <html>');
+  }
+  if (features.includes('navigation')) {
+    if (!findElement(body, 'Header')) missing.push('<Header /> in the body');
+    if (!findElement(body, 'Footer')) missing.push('<Footer /> in the body');
+  }
+  if (features.includes('analytics')) {
+    const provider = findElement(body, 'ConsentProvider');
+    if (!provider) missing.push('<ConsentProvider> around the body content');
+    for (const name of ['CookieBanner', 'Analytics']) {
+      if (!provider || !findElement(provider, name)) missing.push(`<${name} /> inside <ConsentProvider>`);
+    }
+  }
+  const variable = `${FONTS[options.font].name}.variable`;
+  if (features.includes('fonts') && !source.slice(html.openingElement.start, html.openingElement.end).includes(variable)) {
+    missing.push(`${variable} in the className of <html>`);
+  }
+  return missing;
+}
+
+// app/layout.tsx `source` wired up for the enabled layout features. Throws
+// when the layout does not have the expected shape or an edit did not take.
+export function editRootLayout(source, options, features) {
+  const enabled = features.filter((name) => LAYOUT_FEATURES.includes(name));
+  if (enabled.length === 0) return source;
+
+  let result = addImports(source, importLines(options, enabled));
+  if (enabled.includes('navigation')) result = wrapNavigation(result);
+  if (enabled.includes('analytics')) result = wrapConsent(result);
+  if (enabled.includes('theme')) result = wrapTheme(result);
+  result = mergeHtmlAttributes(result, options, enabled);
+
+  const missing = missingLayoutPieces(result, options, enabled);
+  if (missing.length > 0) {
+    throw new Error(`Could not update ${LAYOUT}; add by hand:\n${missing.map((piece) => `  - ${piece}`).join('\n')}`);
+  }
+  return result;
+}
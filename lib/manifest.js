@@ -0,0 +1,74 @@
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+import { featureFiles } from './features.js';
+
+// Written into every generated project: the generator version, the options
+// that decide what the templates render, and a hash of each generated file.
+// The generated content itself is kept in `bases` as the base of the
+// three-way merge `create-geo-app upgrade` does; in the manifest rather than
+// next to it, so TypeScript, ESLint, Biome and Tailwind never pick it up.
+export const MANIFEST_FILE = '.geo-app.json';
+
+export const VERSION = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf-8')).version;
+
+const RECORDED_OPTIONS = [
+  'packageManager',
+  'importAlias',
+  'baseColor',
+  'font',
+  'features',
+  'without',
+  'pages',
+  'components',
+  'skipShadcn',
+  'turbopack',
+  'env',
+  'navLinks',
+  'proxy',
+  'db',
+  'analytics',
+];
+
+// .env.local holds the user's own values from the start, so it is never
+// upgraded or overwritten
+export const UNTRACKED = ['.env.local'];
+
+export function hashContent(content) {
+  return `sha256-${createHash('sha256').update(content).digest('hex')}`;
+}
+
+// Template files of `names` that the manifest tracks, in a project with the
+// enabled `features`
+export function trackedFiles(names, options, features = names) {
+  return names.flatMap((name) => featureFiles(name, options, features)).filter((path) => !UNTRACKED.includes(path));
+}
+
+export async function readManifest(io) {
+  if (!io.exists(MANIFEST_FILE)) return null;
+  return JSON.parse(await io.readFile(MANIFEST_FILE));
+}
+
+export function readBase(manifest, path) {
+  return manifest?.bases?.[path] ?? null;
+}
+
+const sortByPath = (entries) => Object.fromEntries(Object.entries(entries).sort(([a], [b]) => a.localeCompare(b)));
+
+// Record `contents` (path -> generated content) on top of `manifest`, or a
+// new manifest when it is null. Paths are relative to the project, the cwd.
+export async function writeManifest(io, manifest, options, contents) {
+  const next = {
+    version: VERSION,
+    options: Object.fromEntries(RECORDED_OPTIONS.filter((key) => options[key] !== undefined).map((key) => [key, options[key]])),
+    files: { ...manifest?.files },
+    bases: { ...manifest?.bases },
+  };
+  for (const [path, content] of Object.entries(contents)) {
+    next.files[path] = hashContent(content);
+    next.bases[path] = content;
+  }
+  next.files = sortByPath(next.files);
+  next.bases = sortByPath(next.bases);
+  await io.writeFile(MANIFEST_FILE, `${JSON.stringify(next, null, 2)}\n`);
+  return next;
+}
@@ -0,0 +1,67 @@
+import { diffArrays } from 'diff';
+
+// Base line index -> other line index, for the lines `other` kept from `base`
+function keptLines(base, other) {
+  const kept = new Map();
+  let baseIndex = 0;
+  let otherIndex = 0;
+  for (const part of diffArrays(base, other)) {
+    if (part.added) {
+      otherIndex += part.count;
+    } else if (part.removed) {
+      baseIndex += part.count;
+    } else {
+      for (let i = 0; i < part.count; i++) kept.set(baseIndex + i, otherIndex + i);
+      baseIndex += part.count;
+      otherIndex += part.count;
+    }
+  }
+  return kept;
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+// Line-based three-way merge of `ours` and `theirs`, both changed from
+// `base`. Where both changed the same lines differently the result holds
+// git-style conflict markers, labelled with `labels.ours` and `labels.theirs`.
+export function mergeThreeWay(base, ours, theirs, labels) {
+  const baseLines = base.split('\n');
+  const ourLines = ours.split('\n');
+  const theirLines = theirs.split('\n');
+  const oursKept = keptLines(baseLines, ourLines);
+  const theirsKept = keptLines(baseLines, theirLines);
+
+  const lines = [];
+  let conflicts = 0;
+  let b = 0;
+  let o = 0;
+  let t = 0;
+  while (b < baseLines.length || o < ourLines.length || t < theirLines.length) {
+    // The next base line both sides kept ends the current chunk
+    let next = b;
+    while (next < baseLines.length && !(oursKept.has(next) && theirsKept.has(next))) next++;
+    const oEnd = next < baseLines.length ? oursKept.get(next) : ourLines.length;
+    const tEnd = next < baseLines.length ? theirsKept.get(next) : theirLines.length;
+
+    const baseChunk = baseLines.slice(b, next);
+    const ourChunk = ourLines.slice(o, oEnd);
+    const theirChunk = theirLines.slice(t, tEnd);
+    if (sameLines(ourChunk, baseChunk) || sameLines(ourChunk, theirChunk)) {
+      lines.push(...theirChunk);
+    } else if (sameLines(theirChunk, baseChunk)) {
+      lines.push(...ourChunk);
+    } else {
+      conflicts++;
+      lines.push(`<<<<<<< ${labels.ours}`, ...ourChunk, '=======', ...theirChunk, `>>>>>>> ${labels.theirs}`);
+    }
+
+    if (next < baseLines.length) lines.push(baseLines[next]);
+    b = next + 1;
+    o = oEnd + 1;
+    t = tEnd + 1;
+  }
+
+  return { content: lines.join('\n'), conflicts };
+}
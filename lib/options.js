@@ -0,0 +1,567 @@
+import { existsSync } from 'fs';
+import { builtinModules } from 'module';
+import { ANALYTICS_PROVIDERS, DB_DIALECTS, FEATURES, FEATURE_GROUPS, PROXY_RECIPES, resolveFeatures, unknownFeatures } from './features.js';
+import { PACKAGE_MANAGERS, selectedPackageManagers } from './package-manager.js';
+
+export const BASE_COLORS = ['neutral', 'gray', 'zinc', 'stone', 'slate'];
+
+// Fonts offered for lib/fonts.ts, keyed by the --font value
+export const FONTS = {
+  inter: {
+    label: 'Inter',
+    loader: 'Inter',
+    name: 'inter',
+    variable: '--font-inter',
+    heading: { name: 'interTight', variable: '--font-inter-tight' },
+  },
+  geist: {
+    label: 'Geist',
+    loader: 'Geist',
+    name: 'geist',
+    variable: '--font-geist',
+    heading: { name: 'geistHeading', variable: '--font-geist-heading' },
+  },
+  manrope: {
+    label: 'Manrope',
+    loader: 'Manrope',
+    name: 'manrope',
+    variable: '--font-manrope',
+    heading: { name: 'manropeHeading', variable: '--font-manrope-heading' },
+  },
+  'open-sans': {
+    label: 'Open Sans',
+    loader: 'Open_Sans',
+    name: 'openSans',
+    variable: '--font-open-sans',
+    heading: { name: 'openSansHeading', variable: '--font-open-sans-heading' },
+  },
+};
+
+// Optional pages, keyed by the --pages value. `placement` and `sitemap` are
+// their entries in the generated lib/site-config.ts route manifest.
+export const PAGES = {
+  about: {
+    label: 'About',
+    path: '/about',
+    placement: ['header', 'mobile', 'footer'],
+    sitemap: { changeFrequency: 'monthly', priority: 0.8 },
+  },
+  contact: {
+    label: 'Contact',
+    path: '/contact',
+    placement: ['header', 'mobile', 'footer'],
+    sitemap: { changeFrequency: 'monthly', priority: 0.8 },
+  },
+  privacy: {
+    label: 'Privacy',
+    path: '/privacy',
+    placement: ['footer'],
+    sitemap: { changeFrequency: 'yearly', priority: 0.5 },
+  },
+  terms: {
+    label: 'Terms',
+    path: '/terms',
+    placement: ['footer'],
+    sitemap: { changeFrequency: 'yearly', priority: 0.5 },
+  },
+  'get-started': {
+    label: 'Get Started',
+    path: '/get-started',
+    placement: ['header', 'mobile'],
+    highlight: true,
+    sitemap: { changeFrequency: 'monthly', priority: 0.8 },
+  },
+};
+
+// shadcn/ui components imported by the files this generator writes. They are
+// always added, even when --components names a smaller set.
+export const REQUIRED_COMPONENTS = [
+  'button',
+  'card',
+  'dropdown-menu',
+  'input',
+  'label',
+  'skeleton',
+  'textarea',
+];
+
+export const OPTIONS = [
+  {
+    name: 'base-color',
+    type: 'string',
+    default: 'neutral',
+    choices: BASE_COLORS,
+    description: 'Base color for shadcn/ui theming',
+  },
+  {
+    name: 'components',
+    type: 'string',
+    default: 'all',
+    description: 'Comma-separated shadcn/ui components to add, or "all"',
+  },
+  {
+    name: 'features',
+    type: 'string',
+    default: 'default',
+    description: 'Comma-separated feature modules to generate instead of the default set',
+  },
+  {
+    name: 'without',
+    type: 'string',
+    default: '',
+    description: 'Comma-separated feature modules to leave out',
+  },
+  {
+    name: 'font',
+    type: 'string',
+    default: 'inter',
+    choices: Object.keys(FONTS),
+    description: 'Font loaded through next/font in lib/fonts.ts',
+  },
+  {
+    name: 'pages',
+    type: 'string',
+    default: 'all',
+    description: `Comma-separated optional pages to generate (${Object.keys(PAGES).join(', ')}), "all" or "none"`,
+  },
+  {
+    name: 'proxy',
+    type: 'string',
+    default: 'none',
+    description: `Comma-separated handlers to chain in proxy.ts (${Object.keys(PROXY_RECIPES).join(', ')}), "all" or "none"`,
+  },
+  {
+    name: 'db',
+    type: 'string',
+    default: 'none',
+    choices: ['none', ...Object.keys(DB_DIALECTS)],
+    description: 'Database to set up Drizzle ORM for, with lib/db and a /notes example page',
+  },
+  {
+    name: 'analytics',
+    type: 'string',
+    default: 'none',
+    choices: ['none', ...Object.keys(ANALYTICS_PROVIDERS)],
+    description: 'Analytics to load once visitors accept the generated cookie banner, with the site ID read from the env',
+  },
+  {
+    name: 'with-tests',
+    type: 'boolean',
+    default: false,
+    description: 'Add Vitest, React Testing Library and Playwright with specs for the generated files',
+  },
+  {
+    name: 'blog',
+    type: 'boolean',
+    default: false,
+    description: 'Add an MDX blog with tag pages, an RSS feed at /feed.xml and its posts in the sitemap',
+  },
+  {
+    name: 'import-alias',
+    type: 'string',
+    default: '@/*',
+    description: 'Import alias used by the generated files',
+  },
+  {
+    name: 'template-dir',
+    type: 'string',
+    default: null,
+    description: 'Directory with template files that replace the built-in ones (same relative paths)',
+  },
+  {
+    name: 'turbopack',
+    type: 'boolean',
+    default: true,
+    description: 'Use webpack instead of Turbopack',
+  },
+  {
+    name: 'install',
+    type: 'boolean',
+    default: true,
+    description: 'Skip installing dependencies (they are still added to package.json)',
+  },
+  ...PACKAGE_MANAGERS.map((name) => ({
+    name: `use-${name}`,
+    type: 'boolean',
+    default: false,
+    description: `Use ${name} (default: the package manager that ran create-geo-app)`,
+  })),
+  {
+    name: 'offline',
+    type: 'boolean',
+    default: false,
+    description: 'Build the project from the local cache without network access (see: cache warm)',
+  },
+  {
+    name: 'skip-shadcn',
+    type: 'boolean',
+    default: false,
+    description: 'Do not run shadcn/ui init and component install',
+  },
+  {
+    name: 'force',
+    type: 'boolean',
+    default: false,
+    description: 'Remove an existing project directory before creating the app (add, upgrade: overwrite changed files)',
+  },
+  {
+    name: 'preset',
+    type: 'string',
+    default: null,
+    description: `JSON preset with default options (also read: ./geo-app.config.json, ~/.create-geo-apprc)`,
+  },
+  {
+    name: 'resume',
+    type: 'boolean',
+    default: false,
+    description: 'Continue an interrupted setup from the first step that did not complete',
+  },
+  {
+    name: 'cleanup',
+    type: 'boolean',
+    default: false,
+    description: 'Delete the partially created project directory if setup fails',
+  },
+  {
+    name: 'dry-run',
+    type: 'boolean',
+    default: false,
+    description: 'Print every command and file the run would produce without executing anything',
+  },
+  {
+    name: 'yes',
+    alias: 'y',
+    type: 'boolean',
+    default: false,
+    description: 'Skip the interactive prompts and use defaults for anything not passed',
+  },
+  {
+    name: 'help',
+    alias: 'h',
+    type: 'boolean',
+    default: false,
+    description: 'Show this help message',
+  },
+];
+
+export function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+}
+
+// Options of `create-geo-app generate page`, accepted after the command
+export const PAGE_OPTIONS = [
+  {
+    name: 'title',
+    type: 'string',
+    default: null,
+    description: 'Page title (default: the page name in title case)',
+  },
+  {
+    name: 'nav',
+    type: 'string',
+    default: 'header,mobile,footer',
+    description: 'Where to link the page: header (which includes mobile), mobile, footer, or "none"',
+  },
+  {
+    name: 'dynamic',
+    type: 'string',
+    default: null,
+    implicit: 'slug',
+    description: 'Create a dynamic segment below the page, named [slug] unless a name is given; not linked from the navigation',
+  },
+  {
+    name: 'with-loading',
+    type: 'boolean',
+    default: false,
+    description: 'Add loading.tsx for the segment',
+  },
+  {
+    name: 'with-error',
+    type: 'boolean',
+    default: false,
+    description: 'Add error.tsx for the segment',
+  },
+];
+
+function findOption(options, name) {
+  return options.find((option) => option.name === name || option.alias === name);
+}
+
+// Option values keyed by camelCase name, before any flag is applied
+export function defaultOptions(table = OPTIONS) {
+  return Object.fromEntries(table.map((option) => [toCamelCase(option.name), option.default]));
+}
+
+// `table` is OPTIONS, plus the options of the command being run
+export function parseArgs(argv, table = OPTIONS) {
+  const options = defaultOptions(table);
+  const positionals = [];
+  const explicit = new Set();
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [rawName, inlineValue] = arg.replace(/^--?/, '').split(/=(.*)/s);
+    let option = findOption(table, rawName);
+    let negated = false;
+
+    if (!option && rawName.startsWith('no-')) {
+      option = findOption(table, rawName.slice(3));
+      negated = option?.type === 'boolean';
+      if (!negated) option = undefined;
+    }
+
+    if (!option) {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+
+    const key = toCamelCase(option.name);
+
+    if (option.type === 'boolean') {
+      if (inlineValue !== undefined) {
+        throw new Error(`Option --${option.name} does not take a value`);
+      }
+      options[key] = !negated;
+      explicit.add(key);
+      continue;
+    }
+
+    // Options with an implicit value may be given without one
+    const next = argv[i + 1];
+    if (inlineValue === undefined && option.implicit && (next === undefined || next.startsWith('-'))) {
+      options[key] = option.implicit;
+      explicit.add(key);
+      continue;
+    }
+
+    const value = inlineValue ?? argv[++i];
+    if (value === undefined || (inlineValue === undefined && value.startsWith('-'))) {
+      throw new Error(`Option --${option.name} requires a value`);
+    }
+    options[key] = value;
+    explicit.add(key);
+  }
+
+  return { options, positionals, explicit };
+}
+
+// The npm rules for a new package name, since the project name ends up in
+// package.json
+export function validateProjectName(name) {
+  const scoped = name.match(/^@([^/]+)\/([^/]+)$/);
+  if (!name.trim()) return 'Project name must not be empty';
+  if (name.length > 214) return 'Project name must be at most 214 characters long';
+  if (name !== name.trim()) return 'Project name must not start or end with spaces';
+  if (name !== name.toLowerCase()) return 'Project name must be lowercase';
+  if (/^[._]/.test(name)) return 'Project name must not start with a dot or an underscore';
+  if (name.startsWith('@') && !scoped) return 'Scoped project names must look like @scope/name';
+  if (/[~'!()*]/.test(name)) return 'Project name must not contain any of ~\'!()*';
+  if ((scoped ? scoped.slice(1) : [name]).some((part) => encodeURIComponent(part) !== part)) {
+    return 'Project name must only contain URL-friendly characters (letters, digits, - . _)';
+  }
+  if (['node_modules', 'favicon.ico'].includes(name) || builtinModules.includes(name)) {
+    return `Project name "${name}" is reserved`;
+  }
+  return null;
+}
+
+// `@org/site` is generated into ./site
+export function defaultDirectory(name) {
+  return name.replace(/^@[^/]+\//, '');
+}
+
+// Human-readable name for NEXT_PUBLIC_APP_NAME: `@org/my_site.app` -> "My Site App"
+export function displayName(name) {
+  return defaultDirectory(name)
+    .split(/[-_.]+/)
+    .filter(Boolean)
+    .map((word) => word[0].toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+export function validateOptions(options) {
+  const errors = [];
+
+  for (const option of OPTIONS) {
+    const value = options[toCamelCase(option.name)];
+    if (option.choices && !option.choices.includes(value)) {
+      errors.push(`--${option.name} must be one of: ${option.choices.join(', ')} (got "${value}")`);
+    }
+  }
+
+  if (options.components !== 'all' && !/^[a-z0-9-]+(,[a-z0-9-]+)*$/.test(options.components)) {
+    errors.push('--components must be "all" or a comma-separated list of component names');
+  }
+
+  const pages = options.pages.split(',');
+  const unknownPages = pages.filter((page) => !PAGES[page]);
+  if (!['all', 'none'].includes(options.pages) && unknownPages.length > 0) {
+    errors.push(`--pages got unknown page(s): ${unknownPages.join(', ')} (expected ${Object.keys(PAGES).join(', ')}, "all" or "none")`);
+  }
+
+  const unknownRecipes = options.proxy.split(',').filter((name) => !PROXY_RECIPES[name]);
+  if (!['all', 'none'].includes(options.proxy) && unknownRecipes.length > 0) {
+    errors.push(`--proxy got unknown handler(s): ${unknownRecipes.join(', ')} (expected ${Object.keys(PROXY_RECIPES).join(', ')}, "all" or "none")`);
+  }
+
+  for (const key of ['features', 'without']) {
+    const value = options[key];
+    if (!value || (key === 'features' && value === 'default')) continue;
+    const unknown = unknownFeatures(value.split(','));
+    if (unknown.length > 0) {
+      errors.push(`--${key} got unknown feature(s): ${unknown.join(', ')} (see --help for the list)`);
+    }
+  }
+
+  if (errors.length === 0) {
+    try {
+      const features = resolveFeatures({
+        features: options.features,
+        without: options.without,
+        withTests: options.withTests,
+        db: options.db,
+        blog: options.blog,
+        analytics: options.analytics,
+      });
+      if (options.proxy !== 'none' && !features.includes('proxy')) {
+        errors.push('--proxy needs the proxy feature, which is not enabled');
+      }
+      if (options.db !== 'none' && !features.includes('db')) {
+        errors.push('--db needs the db feature, which is not enabled');
+      }
+      if (options.blog && !features.includes('blog')) {
+        errors.push('--blog needs the blog feature, which is not enabled');
+      }
+      if (options.analytics !== 'none' && !features.includes('analytics')) {
+        errors.push('--analytics needs the analytics feature, which is not enabled');
+      }
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  const packageManagers = selectedPackageManagers(options);
+  if (packageManagers.length > 1) {
+    errors.push(`Only one package manager flag can be used (got ${packageManagers.map((name) => `--use-${name}`).join(', ')})`);
+  }
+
+  if (options.templateDir && !existsSync(options.templateDir)) {
+    errors.push(`--template-dir does not exist: ${options.templateDir}`);
+  }
+
+  if (!/^[^\s/*]+\/\*$/.test(options.importAlias)) {
+    errors.push(`--import-alias must look like "@/*" or "~/*" (got "${options.importAlias}")`);
+  }
+
+  return errors;
+}
+
+// Component names passed to `shadcn add`, or null when every component is wanted
+export function resolveComponents(options) {
+  if (options.components === 'all') return null;
+  const requested = options.components.split(',');
+  return [...new Set([...REQUIRED_COMPONENTS, ...requested])];
+}
+
+// Keys of the optional pages to generate
+export function resolvePages(options) {
+  if (options.pages === 'all') return Object.keys(PAGES);
+  if (options.pages === 'none') return [];
+  return options.pages.split(',');
+}
+
+// Prefix used in generated import specifiers, e.g. "@/*" -> "@/"
+export function importPrefix(options) {
+  return options.importAlias.slice(0, -1);
+}
+
+function formatOptions(options) {
+  const flags = options.map((option) => {
+    // Booleans that default to true are documented by their negated form
+    const name = option.type === 'boolean' && option.default ? `no-${option.name}` : option.name;
+    let flag = option.alias ? `-${option.alias}, --${name}` : `    --${name}`;
+    if (option.type === 'string') flag += option.implicit ? ' [value]' : ' <value>';
+    return { flag, option };
+  });
+  const width = Math.max(...flags.map(({ flag }) => flag.length)) + 2;
+
+  return flags.map(({ flag, option }) => {
+    let description = option.description;
+    if (option.choices) description += ` (${option.choices.join(', ')})`;
+    if (option.type === 'string' && option.default) description += ` [default: ${option.default}]`;
+    return `  ${flag.padEnd(width)}${description}`;
+  });
+}
+
+export function formatHelp() {
+  const lines = [
+    'Usage: create-geo-app <project-name> [directory] [options]',
+    '       create-geo-app <command> [options]',
+    '',
+    'Description:',
+    '  Creates a Next.js 16 app with shadcn/ui pre-configured',
+    '',
+    'Commands:',
+    '  add <feature...>     Add feature modules to the Next.js project in the current directory',
+    '  doctor               Check the project in the current directory for missing or broken setup',
+    '  generate page <name> Create app/<name>/page.tsx and register it in lib/site-config.ts',
+    '  upgrade              Regenerate the files of the project in the current directory with this version, merging in local changes',
+    '  cache warm           Download the Next.js template, shadcn/ui components and packages used by --offline',
+    '',
+    'Options:',
+    ...formatOptions(OPTIONS),
+    '',
+    'Options for generate page:',
+    ...formatOptions(PAGE_OPTIONS),
+  ];
+
+  const featureWidth = Math.max(...FEATURES.map((feature) => feature.name.length)) + 2;
+  lines.push('', 'Feature modules (--features, --without):');
+  for (const feature of FEATURES) {
+    const note = feature.optIn ? ' (opt-in)' : '';
+    lines.push(`  ${feature.name.padEnd(featureWidth)}${feature.description}${note}`);
+  }
+  for (const [group, names] of Object.entries(FEATURE_GROUPS)) {
+    lines.push(`  ${group.padEnd(featureWidth)}Shorthand for ${names.join(', ')}`);
+  }
+
+  lines.push(
+    '',
+    'Examples:',
+    '  create-geo-app my-app',
+    '  create-geo-app my-app --base-color zinc --components button,card,dialog',
+    '  create-geo-app my-app --import-alias "~/*" --no-install',
+    '  create-geo-app my-app --yes --font geist --pages about,contact',
+    '  create-geo-app my-app --dry-run',
+    '  create-geo-app internal-tool --without legal,get-started',
+    '  create-geo-app my-app --preset ./presets/marketing.json',
+    '  create-geo-app my-app --resume',
+    '  create-geo-app my-app --yes --proxy auth,rate-limit',
+    '  create-geo-app my-app --yes --with-tests',
+    '  create-geo-app my-app --yes --db postgres',
+    '  create-geo-app my-app --yes --blog',
+    '  create-geo-app my-app --yes --analytics plausible',
+    '  create-geo-app add proxy essentials',
+    '  create-geo-app generate page pricing --title "Pricing" --nav header,footer',
+    '  create-geo-app generate page docs --dynamic slug --with-loading',
+    '  create-geo-app cache warm --use-pnpm && create-geo-app my-app --use-pnpm --offline',
+    '  pnpm create @geobasinas/geo-app my-app',
+    '',
+    'Run without --yes in a terminal to be prompted for anything not passed as a flag.',
+    '',
+    'Features:',
+    '  - Next.js 16 with TypeScript',
+    '  - Turbopack for faster development',
+    '  - Biome for linting and formatting',
+    '  - shadcn/ui with all components',
+    '  - Tailwind CSS and App Router',
+    '  - Dark mode support with next-themes',
+  );
+
+  return lines.join('\n');
+}
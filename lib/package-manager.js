@@ -0,0 +1,43 @@
+export const PACKAGE_MANAGERS = ['npm', 'pnpm', 'yarn', 'bun'];
+
+// npm_config_user_agent looks like "pnpm/9.12.0 npm/? node/v20.19.5 linux x64"
+export function detectPackageManager(userAgent = process.env.npm_config_user_agent) {
+  const name = (userAgent ?? '').split(' ')[0].split('/')[0];
+  return PACKAGE_MANAGERS.includes(name) ? name : 'npm';
+}
+
+// Pick the package manager from the --use-* flags, falling back to the one
+// that invoked the CLI
+export function resolvePackageManager(options, userAgent) {
+  return selectedPackageManagers(options)[0] ?? detectPackageManager(userAgent);
+}
+
+export function selectedPackageManagers(options) {
+  return PACKAGE_MANAGERS.filter((name) => options[`use${name[0].toUpperCase()}${name.slice(1)}`]);
+}
+
+export function getPackageManager(name) {
+  // Yarn 1 has no `dlx`, so yarn projects use npx like create-next-app does
+  const runners = {
+    npm: ['npx'],
+    pnpm: ['pnpm', 'dlx'],
+    yarn: ['npx'],
+    bun: ['bunx'],
+  };
+
+  return {
+    name,
+    // Command and leading args to run a package binary without installing it
+    runner: runners[name],
+    createNextAppFlag: `--use-${name}`,
+    installArgs: (packages, { dev = false } = {}) => [
+      ...(name === 'npm' ? ['install'] : ['add']),
+      ...(dev ? [name === 'npm' ? '--save-dev' : '-D'] : []),
+      ...packages,
+    ],
+    installAllCommand: name === 'yarn' ? 'yarn' : `${name} install`,
+    // Install from the package manager's own cache only; bun has no such mode
+    offlineInstallArgs: name === 'bun' ? null : ['install', '--offline'],
+    runCommand: (script) => (name === 'npm' ? `npm run ${script}` : `${name} ${script}`),
+  };
+}
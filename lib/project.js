@@ -0,0 +1,79 @@
+import { resolve } from 'path';
+import { FEATURES } from './features.js';
+import { readManifest } from './manifest.js';
+import { FONTS, defaultOptions } from './options.js';
+import { selectedPackageManagers } from './package-manager.js';
+
+const LOCKFILES = {
+  'pnpm-lock.yaml': 'pnpm',
+  'yarn.lock': 'yarn',
+  'bun.lock': 'bun',
+  'bun.lockb': 'bun',
+  'package-lock.json': 'npm',
+};
+
+async function readJson(io, path) {
+  if (!io.exists(path)) return null;
+  try {
+    return JSON.parse(await io.readFile(path));
+  } catch {
+    return null;
+  }
+}
+
+// Settings of an existing Next.js app in the cwd, read back from the files a
+// generated project has: the generator manifest, package.json, tsconfig.json,
+// components.json, the lockfile and lib/fonts.ts
+export async function detectProject(io) {
+  const packageJson = await readJson(io, 'package.json');
+  if (!packageJson) {
+    throw new Error('No package.json in the current directory. Run this inside a Next.js project.');
+  }
+  const dependencies = { ...packageJson.devDependencies, ...packageJson.dependencies };
+  if (!dependencies.next) {
+    throw new Error('package.json does not depend on next. Run this inside a Next.js project.');
+  }
+
+  const manifest = await readManifest(io);
+  const options = { ...manifest?.options, projectName: packageJson.name };
+
+  const tsconfig = io.exists('tsconfig.json') ? await io.readFile('tsconfig.json') : '';
+  const alias = tsconfig.match(/"([^"\s/*]+\/\*)"\s*:\s*\[/);
+  if (alias) options.importAlias = alias[1];
+
+  const components = await readJson(io, 'components.json');
+  if (components?.tailwind?.baseColor) options.baseColor = components.tailwind.baseColor;
+
+  const lockfile = Object.keys(LOCKFILES).find((file) => io.exists(file));
+  if (lockfile) options.packageManager = LOCKFILES[lockfile];
+
+  if (io.exists('lib/fonts.ts')) {
+    const fonts = await io.readFile('lib/fonts.ts');
+    const font = Object.keys(FONTS).find((key) => fonts.includes(`import { ${FONTS[key].loader} }`));
+    if (font) options.font = font;
+  }
+
+  return { dir: io.cwd, options, manifest, dependencies: new Set(Object.keys(dependencies)) };
+}
+
+// 'present' when every file of the feature exists, 'partial' when some do
+export function featureStatus(io, feature) {
+  const existing = feature.files.filter((path) => io.exists(path));
+  if (existing.length === feature.files.length) return 'present';
+  return existing.length > 0 ? 'partial' : 'missing';
+}
+
+export function projectFeatures(io) {
+  return FEATURES.filter((feature) => featureStatus(io, feature) !== 'missing').map((feature) => feature.name);
+}
+
+// Options for a command run inside an existing project: the defaults, then
+// the detected settings, then what the caller passed
+export function projectOptions(project, input) {
+  const options = { ...defaultOptions(), ...project.options, ...input };
+  options.packageManager = selectedPackageManagers(input)[0] ?? input.packageManager ?? project.options.packageManager ?? 'npm';
+  if (options.templateDir) {
+    options.templateDir = resolve(project.dir, options.templateDir);
+  }
+  return options;
+}
@@ -0,0 +1,111 @@
+import { createInterface } from 'readline/promises';
+import { stdin, stdout } from 'process';
+import { ANALYTICS_PROVIDERS, DB_DIALECTS, featureDevPackages, featurePackages, resolveFeatures } from './features.js';
+import { resolvePackageManager } from './package-manager.js';
+import { BASE_COLORS, FONTS, PAGES, defaultDirectory, resolvePages } from './options.js';
+
+export function shouldPrompt(options) {
+  return !options.yes && Boolean(stdin.isTTY) && Boolean(stdout.isTTY);
+}
+
+async function ask(rl, question, defaultValue, validate) {
+  const hint = defaultValue ? ` (${defaultValue})` : '';
+
+  while (true) {
+    const answer = (await rl.question(`? ${question}${hint} `)).trim() || defaultValue;
+    const error = validate?.(answer);
+    if (!error) return answer;
+    console.log(`  ${error}`);
+  }
+}
+
+async function select(rl, question, choices, defaultValue) {
+  return ask(rl, `${question} [${choices.join('/')}]`, defaultValue, (answer) =>
+    choices.includes(answer) ? null : `Please choose one of: ${choices.join(', ')}`,
+  );
+}
+
+async function confirm(rl, question, defaultValue) {
+  const answer = await ask(rl, `${question} [${defaultValue ? 'Y/n' : 'y/N'}]`, '', (value) =>
+    /^(y|yes|n|no)?$/i.test(value) ? null : 'Please answer yes or no',
+  );
+  return answer ? /^y/i.test(answer) : defaultValue;
+}
+
+// Ask for every setting that was not passed on the command line. Returns null
+// when the user declines the final confirmation.
+export async function runWizard({ projectName, directory, options, explicit, validateProjectName }) {
+  const rl = createInterface({ input: stdin, output: stdout });
+  const answers = { ...options };
+
+  try {
+    console.log('Let\'s set up your Next.js app. Press enter to accept the default.\n');
+
+    const name = projectName ||
+      await ask(rl, 'Project name:', 'my-geo-app', validateProjectName);
+
+    if (!explicit.has('baseColor')) {
+      answers.baseColor = await select(rl, 'Base color:', BASE_COLORS, options.baseColor);
+    }
+
+    if (!explicit.has('font')) {
+      answers.font = await select(rl, 'Font:', Object.keys(FONTS), options.font);
+    }
+
+    if (!explicit.has('pages')) {
+      const pages = [];
+      for (const [key, page] of Object.entries(PAGES)) {
+        if (await confirm(rl, `Generate the ${page.label} page (${page.path})?`, true)) {
+          pages.push(key);
+        }
+      }
+      answers.pages = pages.length === Object.keys(PAGES).length ? 'all' : pages.join(',') || 'none';
+    }
+
+    if (!explicit.has('db')) {
+      answers.db = await select(rl, 'Database (Drizzle ORM):', ['none', ...Object.keys(DB_DIALECTS)], options.db);
+    }
+
+    if (!explicit.has('analytics')) {
+      answers.analytics = await select(rl, 'Analytics (loaded after cookie consent):', ['none', ...Object.keys(ANALYTICS_PROVIDERS)], options.analytics);
+    }
+
+    if (!explicit.has('blog')) {
+      answers.blog = await confirm(rl, 'Add a blog (MDX posts, tag pages, RSS feed)?', options.blog);
+    }
+
+    if (!explicit.has('withTests')) {
+      answers.withTests = await confirm(rl, 'Add tests (Vitest, React Testing Library, Playwright)?', options.withTests);
+    }
+
+    if (!explicit.has('install')) {
+      answers.install = await confirm(rl, 'Install dependencies?', options.install);
+    }
+
+    const features = resolveFeatures({ ...answers, pages: resolvePages(answers) });
+    const packages = [...featurePackages(features, answers), ...featureDevPackages(features)];
+    console.log('\nThis will:');
+    console.log(`  - create ${directory ?? `./${defaultDirectory(name)}`} with create-next-app (TypeScript, Tailwind CSS, App Router) using ${resolvePackageManager(answers)}`);
+    if (!answers.skipShadcn) {
+      console.log(`  - set up shadcn/ui with the ${answers.baseColor} base color and ${answers.components === 'all' ? 'all components' : `components: ${answers.components}`}`);
+    }
+    console.log(`  - use the ${FONTS[answers.font].label} font`);
+    console.log(`  - generate features: ${features.join(', ')}`);
+    if (packages.length > 0) {
+      console.log(`  - ${answers.install ? 'install' : 'add to package.json without installing'} ${packages.join(', ')}`);
+    }
+    console.log('');
+
+    if (!await confirm(rl, 'Continue?', true)) {
+      return null;
+    }
+
+    return { projectName: name, options: answers };
+  } catch (error) {
+    // Ctrl+C / Ctrl+D while a question is open
+    if (error.code === 'ABORT_ERR') return null;
+    throw error;
+  } finally {
+    rl.close();
+  }
+}
@@ -0,0 +1,34 @@
+import { join } from 'path';
+
+// Written into the project while setup runs and removed once it completes
+export const STATE_FILE = '.geo-app-state.json';
+
+export async function readState(io, projectDir) {
+  let content;
+  try {
+    content = await io.readFile(join(projectDir, STATE_FILE));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  return JSON.parse(content);
+}
+
+// `createdDirectory` is false when the project went into a directory that
+// already existed, which --cleanup then leaves alone
+export function createState(projectName, options, createdDirectory) {
+  return { projectName, options, createdDirectory, completed: [] };
+}
+
+// Paths are relative to the project directory, the io's working directory
+// once create-next-app has run
+export async function markStepComplete(io, state, step) {
+  if (!state.completed.includes(step)) {
+    state.completed.push(step);
+  }
+  await io.writeFile(STATE_FILE, `${JSON.stringify(state, null, 2)}\n`);
+}
+
+export async function clearState(io) {
+  await io.rm(STATE_FILE, { force: true });
+}
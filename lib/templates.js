@@ -0,0 +1,129 @@
+import { existsSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { basename, dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+export const TEMPLATES_DIR = fileURLToPath(new URL('../templates/', import.meta.url));
+
+// Values written to .env.example and .env.local, keyed by variable name
+export const DEFAULT_ENV = {
+  NEXT_PUBLIC_APP_DESCRIPTION: 'A Next.js 16 app with shadcn/ui pre-configured',
+  NEXT_PUBLIC_APP_AUTHOR: 'Your Name',
+  NEXT_PUBLIC_APP_VERSION: '1.0.0',
+  NEXT_PUBLIC_APP_URL: 'http://localhost:3000',
+  NEXT_PUBLIC_APP_EMAIL: 'your.email@example.com',
+  NEXT_PUBLIC_APP_PHONE: '123-456-7890',
+  NEXT_PUBLIC_APP_ADDRESS: '123 Main St, Anytown, USA',
+  NEXT_PUBLIC_APP_GITHUB: 'your_github_handle',
+  NEXT_PUBLIC_APP_LINKEDIN: 'your_linkedin_handle',
+};
+
+// Added to the env files when the contact page is generated; lib/mail.ts reads them
+export const MAIL_ENV = {
+  MAIL_TRANSPORT: 'console',
+  MAIL_TO: '',
+  MAIL_FROM: '',
+  MAIL_OUTBOX_DIR: '.outbox',
+  SMTP_HOST: '',
+  SMTP_PORT: '587',
+  SMTP_USER: '',
+  SMTP_PASSWORD: '',
+};
+
+// zod schemas lib/env.ts validates variables with; any other variable is an
+// optional string. Empty values count as unset.
+export const ENV_SCHEMAS = {
+  NEXT_PUBLIC_APP_NAME: 'z.string()',
+  NEXT_PUBLIC_APP_URL: 'z.url().transform((url) => url.replace(/\\/$/, ""))',
+  NEXT_PUBLIC_APP_EMAIL: 'z.email().optional()',
+  MAIL_TRANSPORT: 'z.string().default("console")',
+  MAIL_TO: 'z.email().optional()',
+  MAIL_OUTBOX_DIR: 'z.string().default(".outbox")',
+  SMTP_PORT: 'z.coerce.number().int().positive().default(587)',
+  DATABASE_URL: 'z.url()',
+  NEXT_PUBLIC_GA_ID: 'z.string().startsWith("G-").optional()',
+  NEXT_PUBLIC_GTM_ID: 'z.string().startsWith("GTM-").optional()',
+};
+
+// Dotfiles are stored with a leading underscore (.env -> _env) so they are
+// not picked up by tooling inside this package
+export function templateName(path) {
+  const name = basename(path);
+  return join(dirname(path), name.startsWith('.') ? `_${name.slice(1)}` : name);
+}
+
+// Lines holding only `<% for x in list %>`, `<% if value %>`, `<% if !value %>`
+// or `<% end %>` open and close blocks; `<%= name %>` inserts a value.
+const TAG = /^[ \t]*<%\s*(?:for (\w+) in ([\w.]+)|if (!?)([\w.]+)|(end))\s*%>[ \t]*(?:\n|$)|<%=\s*([\w.]+)\s*%>/gm;
+
+function parse(source, file) {
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+
+  for (const match of source.matchAll(TAG)) {
+    const [tag, item, list, negate, condition, end, name] = match;
+    const parent = stack[stack.length - 1];
+    parent.children.push(source.slice(last, match.index));
+    last = match.index + tag.length;
+
+    if (name) {
+      parent.children.push({ type: 'value', name });
+    } else if (end) {
+      if (stack.length === 1) throw new Error(`Unexpected <% end %> in template ${file}`);
+      stack.pop();
+    } else {
+      const node = list
+        ? { type: 'for', item, list, children: [] }
+        : { type: 'if', negate: negate === '!', condition, children: [] };
+      parent.children.push(node);
+      stack.push(node);
+    }
+  }
+
+  if (stack.length > 1) throw new Error(`Missing <% end %> in template ${file}`);
+  root.children.push(source.slice(last));
+  return root;
+}
+
+function lookup(scope, name, file) {
+  const value = name.split('.').reduce((object, key) => object?.[key], scope);
+  if (value === undefined) {
+    throw new Error(`Unknown template variable "${name}" in ${file}`);
+  }
+  return value;
+}
+
+function render(node, scope, file) {
+  return node.children.map((child) => {
+    if (typeof child === 'string') return child;
+    if (child.type === 'value') return String(lookup(scope, child.name, file));
+    if (child.type === 'for') {
+      return lookup(scope, child.list, file)
+        .map((item) => render(child, { ...scope, [child.item]: item }, file))
+        .join('');
+    }
+    const value = lookup(scope, child.condition, file);
+    const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+    return truthy !== child.negate ? render(child, scope, file) : '';
+  }).join('');
+}
+
+export function renderString(source, variables, file = '<inline>') {
+  return render(parse(source, file), variables, file);
+}
+
+// Find a template, preferring the copy in `templateDir` when there is one
+export function resolveTemplate(path, templateDir) {
+  const name = templateName(path);
+  if (templateDir) {
+    const override = resolve(templateDir, name);
+    if (existsSync(override)) return override;
+  }
+  return join(TEMPLATES_DIR, name);
+}
+
+export async function renderTemplate(path, variables, templateDir) {
+  const file = resolveTemplate(path, templateDir);
+  return renderString(await readFile(file, 'utf-8'), variables, file);
+}
@@ -0,0 +1,144 @@
+import { dirname } from 'path';
+import { withEvents } from './events.js';
+import { featureDevPackages, featurePackages } from './features.js';
+import {
+  enabledFeatures,
+  installDependencies,
+  renderFile,
+  splitPackageSpec,
+  updateEnvLocal,
+  updateGitignore,
+  updatePackageScripts,
+  updateStylesheet,
+} from './generators.js';
+import { createRunIO, trackIO } from './io.js';
+import { LAYOUT_FEATURES, editRootLayout } from './layout.js';
+import { MANIFEST_FILE, VERSION, hashContent, readBase, trackedFiles, writeManifest } from './manifest.js';
+import { mergeThreeWay } from './merge.js';
+import { detectProject, projectOptions } from './project.js';
+
+// Regenerate the files recorded in the manifest of the project in `cwd` with
+// this version's templates. Each file ends up with one status:
+//
+//   updated    unchanged since it was generated, replaced by the new version
+//   merged     changed by the user, the new version merged in cleanly
+//   conflict   changed on both sides; written with conflict markers
+//   added      new in this version for an enabled feature
+//   deleted    removed by the user, left out
+//   unchanged  already up to date with the new version
+//
+// `force` replaces changed files instead of merging. Takes `fs` and `runner`
+// like addFeatures(). Emits the addFeatures() events plus `change`
+// { path, status }.
+export function upgradeProject(input = {}) {
+  const { cwd, stdio, fs, runner, ...rest } = input;
+  return withEvents((events) => upgrade(rest, { cwd, stdio, fs, runner }, events));
+}
+
+async function upgrade(input, context, events) {
+  const baseIO = createRunIO({ ...context, dryRun: input.dryRun });
+  const project = await detectProject(baseIO);
+  if (!project.manifest) {
+    throw new Error(`No ${MANIFEST_FILE} in this project: it was generated before create-geo-app recorded the files it writes, so there is nothing to upgrade from.`);
+  }
+  const { manifest } = project;
+  const options = projectOptions(project, input);
+  const features = enabledFeatures(options);
+
+  const result = {
+    projectDir: baseIO.cwd,
+    dryRun: options.dryRun,
+    from: manifest.version,
+    to: VERSION,
+    changes: [],
+    conflicts: [],
+    files: [],
+    commands: [],
+  };
+  const io = trackIO(baseIO, events, result);
+  const labels = { ours: 'your changes', theirs: `create-geo-app ${VERSION}` };
+
+  // Work out every file first, then write
+  const writes = [];
+  const contents = {};
+  for (const path of trackedFiles(features, options)) {
+    const generated = await renderFile(path, options);
+    const recorded = manifest.files[path];
+    let status;
+    let content = generated;
+
+    if (!io.exists(path)) {
+      status = recorded ? 'deleted' : 'added';
+    } else {
+      const current = await io.readFile(path);
+      if (current === generated) {
+        status = 'unchanged';
+      } else if (hashContent(current) === recorded || options.force) {
+        status = 'updated';
+      } else {
+        // Without the generated copy, the whole file is one conflict
+        const merged = mergeThreeWay(readBase(manifest, path) ?? '', current, generated, labels);
+        if (merged.content === current) {
+          status = 'unchanged';
+        } else {
+          status = merged.conflicts > 0 ? 'conflict' : 'merged';
+          content = merged.content;
+        }
+      }
+    }
+
+    if (status !== 'deleted') contents[path] = generated;
+    if (status !== 'deleted' && status !== 'unchanged') writes.push({ path, content });
+    if (status === 'conflict') result.conflicts.push(path);
+    result.changes.push({ path, status });
+    events.emit('change', { path, status });
+  }
+
+  // app/layout.tsx is edited in place; a layout that cannot be wired up stops
+  // the upgrade before anything is written
+  const layoutFeatures = features.filter((name) => LAYOUT_FEATURES.includes(name));
+  let layout = null;
+  if (layoutFeatures.length > 0 && io.exists('app/layout.tsx')) {
+    const current = await io.readFile('app/layout.tsx');
+    layout = editRootLayout(current, options, layoutFeatures);
+    if (layout === current) layout = null;
+  }
+
+  const missing = (specs) => specs.filter((spec) => !project.dependencies.has(splitPackageSpec(spec)[0]));
+  const packages = missing(featurePackages(features, options));
+  const devPackages = missing(featureDevPackages(features));
+  if (packages.length > 0 || devPackages.length > 0) {
+    events.emit('step:start', { name: 'dependencies', title: '📦 Installing feature dependencies...' });
+    if (packages.length > 0) await installDependencies(io, packages, options);
+    if (devPackages.length > 0) await installDependencies(io, devPackages, options, { dev: true });
+  }
+
+  if (writes.length > 0) {
+    events.emit('step:start', { name: 'files', title: `⬆️  Upgrading files from ${manifest.version} to ${VERSION}...` });
+    for (const { path, content } of writes) {
+      await io.mkdir(dirname(path), { recursive: true });
+      await io.writeFile(path, content);
+    }
+  }
+  await updateGitignore(io, features);
+  await updatePackageScripts(io, features);
+  await updateStylesheet(io, features);
+  if (features.includes('env')) await updateEnvLocal(io, options);
+
+  if (layout) {
+    events.emit('step:start', { name: 'root-layout', title: '📝 Updating root layout...' });
+    await io.writeFile('app/layout.tsx', layout);
+  }
+
+  // The new version's output is the base of the next upgrade
+  const recordedAll = Object.entries(contents).every(([path, content]) => manifest.files[path] === hashContent(content));
+  if (manifest.version !== VERSION || !recordedAll) {
+    await writeManifest(io, manifest, options, contents);
+  }
+
+  result.files = [...io.files.values()];
+  if (io.dryRun) {
+    result.plan = baseIO.plan;
+  }
+  return result;
+}
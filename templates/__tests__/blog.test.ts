@@ -0,0 +1,37 @@
+// @vitest-environment node
+import { describe, expect, it } from "vitest"
+import { GET } from "@/app/feed.xml/route"
+import { getAllPosts, getAllTags, getPostsByTag, tagSlug } from "@/lib/blog"
+
+describe("lib/blog", () => {
+  it("turns tags into URL segments", () => {
+    expect(tagSlug("Next.js")).toBe("next-js")
+    expect(tagSlug(" React Server Components ")).toBe("react-server-components")
+  })
+
+  it("reads every published post in content/posts, newest first", async () => {
+    const posts = await getAllPosts()
+
+    expect(posts.every((post) => !post.draft)).toBe(true)
+    const dates = posts.map((post) => post.date.getTime())
+    expect(dates).toEqual([...dates].sort((a, b) => b - a))
+  })
+
+  it("counts the posts of each tag", async () => {
+    for (const tag of await getAllTags()) {
+      expect(await getPostsByTag(tag.slug)).toHaveLength(tag.count)
+    }
+  })
+})
+
+describe("GET /feed.xml", () => {
+  it("lists every post", async () => {
+    const response = await GET()
+    const xml = await response.text()
+
+    expect(response.headers.get("Content-Type")).toContain("application/rss+xml")
+    for (const post of await getAllPosts()) {
+      expect(xml).toContain(`/blog/${post.slug}</link>`)
+    }
+  })
+})
@@ -0,0 +1,53 @@
+// @vitest-environment node
+import { beforeEach, describe, expect, it, vi } from "vitest"
+import { sendContactMessage } from "@/app/contact/actions"
+import { sendMail } from "@/lib/mail"
+
+vi.mock("@/lib/mail", () => ({ sendMail: vi.fn() }))
+
+function form(fields: Record<string, string>) {
+  const data = new FormData()
+  for (const [name, value] of Object.entries(fields)) data.set(name, value)
+  return data
+}
+
+const valid = { name: "Ada Lovelace", email: "ada@example.com", message: "Hello from the test suite" }
+
+describe("sendContactMessage", () => {
+  beforeEach(() => {
+    vi.mocked(sendMail).mockReset()
+  })
+
+  it("returns an error for each invalid field", async () => {
+    const state = await sendContactMessage({ status: "idle" }, form({ name: " ", email: "not-an-email", message: "Hi" }))
+
+    expect(state.status).toBe("error")
+    expect(Object.keys(state.errors ?? {}).sort()).toEqual(["email", "message", "name"])
+    expect(state.values?.email).toBe("not-an-email")
+    expect(sendMail).not.toHaveBeenCalled()
+  })
+
+  it("sends valid messages", async () => {
+    const state = await sendContactMessage({ status: "idle" }, form(valid))
+
+    expect(state.status).toBe("success")
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ replyTo: "ada@example.com" }))
+  })
+
+  it("reports a failed delivery", async () => {
+    vi.mocked(sendMail).mockRejectedValue(new Error("connection refused"))
+    vi.spyOn(console, "error").mockImplementation(() => {})
+
+    const state = await sendContactMessage({ status: "idle" }, form(valid))
+
+    expect(state.status).toBe("error")
+    expect(state.values).toEqual(valid)
+  })
+
+  it("pretends to succeed when the honeypot is filled", async () => {
+    const state = await sendContactMessage({ status: "idle" }, form({ ...valid, website: "https://spam.example" }))
+
+    expect(state.status).toBe("success")
+    expect(sendMail).not.toHaveBeenCalled()
+  })
+})
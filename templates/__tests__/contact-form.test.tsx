@@ -0,0 +1,41 @@
+import { render, screen } from "@testing-library/react"
+import userEvent from "@testing-library/user-event"
+import { describe, expect, it, vi } from "vitest"
+import { sendContactMessage } from "@/app/contact/actions"
+import { ContactForm } from "@/components/contact-form"
+
+vi.mock("@/app/contact/actions", () => ({ sendContactMessage: vi.fn() }))
+
+describe("ContactForm", () => {
+  it("shows the errors the action returns next to their fields", async () => {
+    vi.mocked(sendContactMessage).mockResolvedValue({
+      status: "error",
+      message: "Please fix the fields below.",
+      errors: { email: ["Please enter a valid email address"] },
+      values: { name: "Ada", email: "ada@", message: "Hello there, world" },
+    })
+    const user = userEvent.setup()
+    render(<ContactForm />)
+
+    await user.type(screen.getByLabelText("Name"), "Ada")
+    await user.type(screen.getByLabelText("Email"), "ada@")
+    await user.type(screen.getByLabelText("Message"), "Hello there, world")
+    await user.click(screen.getByRole("button", { name: "Send Message" }))
+
+    expect(await screen.findByRole("status")).toHaveTextContent("Please fix the fields below.")
+    expect(screen.getByLabelText("Email")).toHaveAttribute("aria-invalid", "true")
+    expect(screen.getByLabelText("Email")).toHaveAccessibleDescription("Please enter a valid email address")
+    expect(screen.getByLabelText("Name")).toHaveAttribute("aria-invalid", "false")
+    expect(screen.getByLabelText("Email")).toHaveValue("ada@")
+  })
+
+  it("shows the success message", async () => {
+    vi.mocked(sendContactMessage).mockResolvedValue({ status: "success", message: "Thank you for your message!" })
+    const user = userEvent.setup()
+    render(<ContactForm />)
+
+    await user.click(screen.getByRole("button", { name: "Send Message" }))
+
+    expect(await screen.findByRole("status")).toHaveTextContent("Thank you for your message!")
+  })
+})
@@ -0,0 +1,68 @@
+import { render, screen } from "@testing-library/react"
+import userEvent from "@testing-library/user-event"
+import { beforeEach, describe, expect, it, vi } from "vitest"
+import { Analytics } from "@/components/analytics"
+import { ConsentProvider } from "@/components/consent-provider"
+import { CookieBanner } from "@/components/cookie-banner"
+
+// Stands in for the provider's script, which the tests never load
+<% if analytics.plausible %>
+vi.mock("next/script", () => ({ default: () => <div data-testid="analytics" /> }))
+<% end %>
+<% if !analytics.plausible %>
+vi.mock("@next/third-parties/google", () => ({
+  GoogleAnalytics: () => <div data-testid="analytics" />,
+  GoogleTagManager: () => <div data-testid="analytics" />,
+}))
+<% end %>
+vi.mock("@/lib/env", () => ({ publicEnv: { <%= analytics.env %>: "test-id" } }))
+
+function renderBanner() {
+  return render(
+    <ConsentProvider>
+      <CookieBanner />
+      <Analytics />
+    </ConsentProvider>
+  )
+}
+
+describe("CookieBanner", () => {
+  beforeEach(() => {
+    window.localStorage.clear()
+  })
+
+  it("asks before loading analytics", () => {
+    renderBanner()
+
+    expect(screen.getByRole("region", { name: "Cookie consent" })).toBeInTheDocument()
+    expect(screen.queryByTestId("analytics")).not.toBeInTheDocument()
+  })
+
+  it("loads analytics once accepted and remembers the answer", async () => {
+    const user = userEvent.setup()
+    renderBanner()
+
+    await user.click(screen.getByRole("button", { name: "Accept" }))
+
+    expect(screen.queryByRole("region", { name: "Cookie consent" })).not.toBeInTheDocument()
+    expect(screen.getByTestId("analytics")).toBeInTheDocument()
+    expect(window.localStorage.getItem("cookie-consent")).toBe("granted")
+  })
+
+  it("loads nothing when declined", async () => {
+    const user = userEvent.setup()
+    renderBanner()
+
+    await user.click(screen.getByRole("button", { name: "Decline" }))
+
+    expect(screen.queryByRole("region", { name: "Cookie consent" })).not.toBeInTheDocument()
+    expect(screen.queryByTestId("analytics")).not.toBeInTheDocument()
+  })
+
+  it("stays hidden for visitors who already answered", () => {
+    window.localStorage.setItem("cookie-consent", "denied")
+    renderBanner()
+
+    expect(screen.queryByRole("region", { name: "Cookie consent" })).not.toBeInTheDocument()
+  })
+})
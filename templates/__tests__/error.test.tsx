@@ -0,0 +1,21 @@
+import { render, screen } from "@testing-library/react"
+import userEvent from "@testing-library/user-event"
+import { describe, expect, it, vi } from "vitest"
+import ErrorPage from "@/app/error"
+
+describe("Error", () => {
+  it("logs the error and retries with reset", async () => {
+    const log = vi.spyOn(console, "error").mockImplementation(() => {})
+    const reset = vi.fn()
+    const error = new Error("Boom")
+    const user = userEvent.setup()
+    render(<ErrorPage error={error} reset={reset} />)
+
+    expect(log).toHaveBeenCalledWith(error)
+
+    await user.click(screen.getByRole("button", { name: "Try Again" }))
+
+    expect(reset).toHaveBeenCalledOnce()
+    log.mockRestore()
+  })
+})
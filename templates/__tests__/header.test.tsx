@@ -0,0 +1,22 @@
+import { render, screen, within } from "@testing-library/react"
+import { describe, expect, it } from "vitest"
+import { Header } from "@/components/header"
+import { publicEnv } from "@/lib/env"
+import { routesFor } from "@/lib/site-config"
+
+describe("Header", () => {
+  it("links the app name to the home page", () => {
+    render(<Header />)
+
+    expect(screen.getByRole("link", { name: publicEnv.NEXT_PUBLIC_APP_NAME })).toHaveAttribute("href", "/")
+  })
+
+  it("links every header route", () => {
+    render(<Header />)
+    const nav = within(screen.getByRole("banner")).getAllByRole("navigation")[0]
+
+    for (const route of routesFor("header")) {
+      expect(within(nav).getByRole("link", { name: route.label })).toHaveAttribute("href", route.path)
+    }
+  })
+})
@@ -0,0 +1,42 @@
+import { render, screen } from "@testing-library/react"
+import userEvent from "@testing-library/user-event"
+import { describe, expect, it } from "vitest"
+import { MobileMenu } from "@/components/mobile-menu"
+import { routesFor } from "@/lib/site-config"
+
+describe("MobileMenu", () => {
+  it("is closed until the menu button is pressed", async () => {
+    const user = userEvent.setup()
+    render(<MobileMenu />)
+
+    expect(screen.queryByRole("navigation")).not.toBeInTheDocument()
+
+    await user.click(screen.getByRole("button", { name: "Toggle menu" }))
+
+    const nav = screen.getByRole("navigation")
+    for (const route of routesFor("mobile")) {
+      expect(screen.getByRole("link", { name: route.label })).toHaveAttribute("href", route.path)
+    }
+    expect(nav).toBeInTheDocument()
+  })
+
+  it("closes with the close button", async () => {
+    const user = userEvent.setup()
+    render(<MobileMenu />)
+
+    await user.click(screen.getByRole("button", { name: "Toggle menu" }))
+    await user.click(screen.getByRole("button", { name: "Close menu" }))
+
+    expect(screen.queryByRole("navigation")).not.toBeInTheDocument()
+  })
+
+  it("closes when a link is followed", async () => {
+    const user = userEvent.setup()
+    render(<MobileMenu />)
+
+    await user.click(screen.getByRole("button", { name: "Toggle menu" }))
+    await user.click(screen.getByRole("link", { name: routesFor("mobile")[0].label }))
+
+    expect(screen.queryByRole("navigation")).not.toBeInTheDocument()
+  })
+})
@@ -0,0 +1,36 @@
+import { render, screen } from "@testing-library/react"
+import userEvent from "@testing-library/user-event"
+import { describe, expect, it } from "vitest"
+import { ModeToggle } from "@/components/mode-toggle"
+import { ThemeProvider } from "@/components/theme-provider"
+
+function renderToggle() {
+  return render(
+    <ThemeProvider attribute="class" defaultTheme="light" enableSystem disableTransitionOnChange>
+      <ModeToggle />
+    </ThemeProvider>
+  )
+}
+
+describe("ModeToggle", () => {
+  it("offers the light, dark and system themes", async () => {
+    const user = userEvent.setup()
+    renderToggle()
+
+    await user.click(screen.getByRole("button", { name: "Toggle theme" }))
+
+    expect(screen.getByRole("menuitem", { name: "Light" })).toBeInTheDocument()
+    expect(screen.getByRole("menuitem", { name: "Dark" })).toBeInTheDocument()
+    expect(screen.getByRole("menuitem", { name: "System" })).toBeInTheDocument()
+  })
+
+  it("switches to the dark theme", async () => {
+    const user = userEvent.setup()
+    renderToggle()
+
+    await user.click(screen.getByRole("button", { name: "Toggle theme" }))
+    await user.click(screen.getByRole("menuitem", { name: "Dark" }))
+
+    expect(document.documentElement).toHaveClass("dark")
+  })
+})
@@ -0,0 +1,12 @@
+import { render, screen } from "@testing-library/react"
+import { describe, expect, it } from "vitest"
+import NotFound from "@/app/not-found"
+
+describe("NotFound", () => {
+  it("links back to the home page", () => {
+    render(<NotFound />)
+
+    expect(screen.getByRole("heading", { name: "404" })).toBeInTheDocument()
+    expect(screen.getByRole("link", { name: "Go Home" })).toHaveAttribute("href", "/")
+  })
+})
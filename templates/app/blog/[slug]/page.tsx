@@ -0,0 +1,67 @@
+import type { Metadata } from "next"
+import Link from "next/link"
+import { notFound } from "next/navigation"
+import { MDXRemote } from "next-mdx-remote/rsc"
+import { mdxComponents } from "@/components/mdx-components"
+import { formatDate, getAllPosts, getPost, tagSlug } from "@/lib/blog"
+
+type Props = {
+  params: Promise<{ slug: string }>
+}
+
+// Every post is rendered at build time; other slugs are a 404
+export const dynamicParams = false
+
+export async function generateStaticParams() {
+  return (await getAllPosts()).map((post) => ({ slug: post.slug }))
+}
+
+export async function generateMetadata({ params }: Props): Promise<Metadata> {
+  const post = await getPost((await params).slug)
+  if (!post) return {}
+  return {
+    title: post.title,
+    description: post.description,
+    openGraph: {
+      type: "article",
+      publishedTime: post.date.toISOString(),
+      modifiedTime: post.updated?.toISOString(),
+      tags: post.tags,
+    },
+  }
+}
+
+export default async function PostPage({ params }: Props) {
+  const post = await getPost((await params).slug)
+  if (!post) notFound()
+
+  return (
+    <article className="container mx-auto px-4 py-16 max-w-2xl">
+      <header className="mb-10">
+        <h1 className="text-4xl font-bold text-left mb-4 text-black dark:text-white">{post.title}</h1>
+        <time dateTime={post.date.toISOString()} className="text-sm text-<%= color %>-500">
+          {formatDate(post.date)}
+        </time>
+        {post.tags.length > 0 && (
+          <ul className="flex flex-wrap gap-2 mt-2">
+            {post.tags.map((tag) => (
+              <li key={tag}>
+                <Link href={`/blog/tags/${tagSlug(tag)}`} className="text-sm text-<%= color %>-600 dark:text-<%= color %>-400 hover:text-black dark:hover:text-white transition-colors">
+                  #{tag}
+                </Link>
+              </li>
+            ))}
+          </ul>
+        )}
+      </header>
+      <div className="prose prose-<%= color %> dark:prose-invert max-w-none">
+        <MDXRemote source={post.content} components={mdxComponents} />
+      </div>
+      <div className="text-left mt-12">
+        <Link href="/blog" className="text-<%= color %>-600 dark:text-<%= color %>-400 hover:text-black dark:hover:text-white transition-colors text-lg">
+          ← Back to Blog
+        </Link>
+      </div>
+    </article>
+  )
+}
@@ -0,0 +1,38 @@
+import type { Metadata } from "next"
+import Link from "next/link"
+import { PostList } from "@/components/post-list"
+import { getAllPosts, getAllTags } from "@/lib/blog"
+
+export const metadata: Metadata = {
+  title: "Blog",
+  alternates: {
+    types: { "application/rss+xml": "/feed.xml" },
+  },
+}
+
+export default async function BlogPage() {
+  const [posts, tags] = await Promise.all([getAllPosts(), getAllTags()])
+
+  return (
+    <div className="container mx-auto px-4 py-16 max-w-2xl">
+      <h1 className="text-4xl font-bold text-left mb-6 text-black dark:text-white">Blog</h1>
+      {tags.length > 0 && (
+        <ul className="flex flex-wrap gap-2 mb-12">
+          {tags.map((tag) => (
+            <li key={tag.slug}>
+              <Link href={`/blog/tags/${tag.slug}`} className="text-sm text-<%= color %>-600 dark:text-<%= color %>-400 hover:text-black dark:hover:text-white transition-colors">
+                #{tag.name} ({tag.count})
+              </Link>
+            </li>
+          ))}
+        </ul>
+      )}
+      <PostList posts={posts} />
+      <div className="text-left mt-12">
+        <a href="/feed.xml" className="text-<%= color %>-600 dark:text-<%= color %>-400 hover:text-black dark:hover:text-white transition-colors text-lg">
+          RSS feed
+        </a>
+      </div>
+    </div>
+  )
+}
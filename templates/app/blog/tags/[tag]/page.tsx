@@ -0,0 +1,42 @@
+import type { Metadata } from "next"
+import Link from "next/link"
+import { notFound } from "next/navigation"
+import { PostList } from "@/components/post-list"
+import { getAllTags, getPostsByTag } from "@/lib/blog"
+
+type Props = {
+  params: Promise<{ tag: string }>
+}
+
+export const dynamicParams = false
+
+export async function generateStaticParams() {
+  return (await getAllTags()).map((tag) => ({ tag: tag.slug }))
+}
+
+async function findTag(slug: string) {
+  return (await getAllTags()).find((tag) => tag.slug === slug)
+}
+
+export async function generateMetadata({ params }: Props): Promise<Metadata> {
+  const tag = await findTag((await params).tag)
+  return tag ? { title: `Posts tagged #${tag.name}` } : {}
+}
+
+export default async function TagPage({ params }: Props) {
+  const { tag: slug } = await params
+  const tag = await findTag(slug)
+  if (!tag) notFound()
+
+  return (
+    <div className="container mx-auto px-4 py-16 max-w-2xl">
+      <h1 className="text-4xl font-bold text-left mb-12 text-black dark:text-white">Posts tagged #{tag.name}</h1>
+      <PostList posts={await getPostsByTag(slug)} />
+      <div className="text-left mt-12">
+        <Link href="/blog" className="text-<%= color %>-600 dark:text-<%= color %>-400 hover:text-black dark:hover:text-white transition-colors text-lg">
+          ← Back to Blog
+        </Link>
+      </div>
+    </div>
+  )
+}
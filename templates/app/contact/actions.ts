@@ -0,0 +1,65 @@
+"use server"
+
+import { z } from "zod"
+import { sendMail } from "@/lib/mail"
+
+const contactSchema = z.object({
+  name: z.string().trim().min(1, "Please enter your name").max(100, "Please keep your name under 100 characters"),
+  email: z.email("Please enter a valid email address"),
+  message: z.string().trim().min(10, "Please write at least 10 characters").max(5000, "Please keep your message under 5000 characters"),
+})
+
+export type ContactValues = z.input<typeof contactSchema>
+
+export type ContactState = {
+  status: "idle" | "success" | "error"
+  message?: string
+  errors?: Partial<Record<keyof ContactValues, string[]>>
+  values?: ContactValues
+}
+
+const SUCCESS: ContactState = {
+  status: "success",
+  message: "Thank you for your message! We will get back to you soon.",
+}
+
+export async function sendContactMessage(_previous: ContactState, formData: FormData): Promise<ContactState> {
+  // "website" is a field people never see (see components/contact-form.tsx);
+  // bots fill in every input they find. Answer them as if it worked so they
+  // have no reason to retry.
+  if (formData.get("website")) {
+    return SUCCESS
+  }
+
+  const values = {
+    name: String(formData.get("name") ?? ""),
+    email: String(formData.get("email") ?? "").trim(),
+    message: String(formData.get("message") ?? ""),
+  }
+  const parsed = contactSchema.safeParse(values)
+  if (!parsed.success) {
+    return {
+      status: "error",
+      message: "Please fix the fields below.",
+      errors: z.flattenError(parsed.error).fieldErrors,
+      values,
+    }
+  }
+
+  const { name, email, message } = parsed.data
+  try {
+    await sendMail({
+      subject: `Contact form: ${name}`,
+      text: `From: ${name} <${email}>\n\n${message}`,
+      replyTo: email,
+    })
+  } catch (error) {
+    console.error("Could not send contact message:", error)
+    return {
+      status: "error",
+      message: "Your message could not be sent. Please try again later.",
+      values,
+    }
+  }
+  return SUCCESS
+}
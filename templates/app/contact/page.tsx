@@ -0,0 +1,21 @@
+import Link from "next/link"
+import { ContactForm } from "@/components/contact-form"
+
+export default function Contact() {
+  return (
+    <div className="container mx-auto px-4 py-16 max-w-2xl">
+      <h1 className="text-4xl font-bold text-left mb-6 text-black dark:text-white">Contact Us</h1>
+      <p className="text-lg text-left mb-12 text-<%= color %>-600 dark:text-<%= color %>-400">
+        Have questions or feedback? We would love to hear from you.
+      </p>
+
+      <ContactForm />
+
+      <div className="text-left mt-12">
+        <Link href="/" className="text-<%= color %>-600 dark:text-<%= color %>-400 hover:text-black dark:hover:text-white transition-colors text-lg">
+          ← Back to Home
+        </Link>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,50 @@
+import { getAllPosts } from "@/lib/blog"
+import { publicEnv } from "@/lib/env"
+
+// RSS 2.0 feed of the blog, built with the site
+export const dynamic = "force-static"
+
+function escapeXml(value: string) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;")
+}
+
+export async function GET() {
+  const baseUrl = publicEnv.NEXT_PUBLIC_APP_URL
+  const posts = await getAllPosts()
+
+  const items = posts.map((post) => {
+    const url = `${baseUrl}/blog/${post.slug}`
+    const categories = post.tags.map((tag) => `      <category>${escapeXml(tag)}</category>`)
+    return [
+      "    <item>",
+      `      <title>${escapeXml(post.title)}</title>`,
+      `      <link>${url}</link>`,
+      `      <guid isPermaLink="true">${url}</guid>`,
+      `      <description>${escapeXml(post.description)}</description>`,
+      `      <pubDate>${post.date.toUTCString()}</pubDate>`,
+      ...categories,
+      "    </item>",
+    ].join("\n")
+  })
+
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(publicEnv.NEXT_PUBLIC_APP_NAME)}</title>
+    <link>${baseUrl}</link>
+    <description>${escapeXml(publicEnv.NEXT_PUBLIC_APP_DESCRIPTION ?? publicEnv.NEXT_PUBLIC_APP_NAME)}</description>
+    <atom:link href="${baseUrl}/feed.xml" rel="self" type="application/rss+xml" />
+${items.join("\n")}
+  </channel>
+</rss>
+`
+
+  return new Response(xml, {
+    headers: { "Content-Type": "application/rss+xml; charset=utf-8" },
+  })
+}
@@ -0,0 +1,122 @@
+import Link from "next/link"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { ArrowRight, Zap, Code, Palette } from "lucide-react"
+
+export default function GetStarted() {
+  return (
+    <div className="container mx-auto px-4 py-16 max-w-4xl">
+      <div className="text-center mb-12">
+        <h1 className="text-5xl font-bold mb-4 text-black dark:text-white">
+          Get Started
+        </h1>
+        <p className="text-xl text-<%= color %>-600 dark:text-<%= color %>-400">
+          Everything you need to know to start building with our platform
+        </p>
+      </div>
+
+      <div className="grid md:grid-cols-3 gap-6 mb-12">
+        <Card>
+          <CardHeader>
+            <Zap className="h-10 w-10 mb-2 text-yellow-500" />
+            <CardTitle>Quick Setup</CardTitle>
+            <CardDescription>
+              Get up and running in minutes with our streamlined setup process
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <p className="text-sm text-<%= color %>-600 dark:text-<%= color %>-400">
+              Follow our step-by-step guide to configure your environment and start building.
+            </p>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <Code className="h-10 w-10 mb-2 text-blue-500" />
+            <CardTitle>Documentation</CardTitle>
+            <CardDescription>
+              Comprehensive guides and API references at your fingertips
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <p className="text-sm text-<%= color %>-600 dark:text-<%= color %>-400">
+              Explore detailed documentation covering every feature and functionality.
+            </p>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <Palette className="h-10 w-10 mb-2 text-purple-500" />
+            <CardTitle>Customize</CardTitle>
+            <CardDescription>
+              Tailor the platform to match your unique requirements
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <p className="text-sm text-<%= color %>-600 dark:text-<%= color %>-400">
+              Personalize themes, components, and workflows to fit your needs.
+            </p>
+          </CardContent>
+        </Card>
+      </div>
+
+      <div className="bg-<%= color %>-50 dark:bg-<%= color %>-900 rounded-lg p-8 mb-12">
+        <h2 className="text-2xl font-bold mb-4 text-black dark:text-white">
+          Quick Start Guide
+        </h2>
+        <ol className="space-y-4">
+          <li className="flex items-start gap-3">
+            <span className="flex-shrink-0 w-8 h-8 bg-black dark:bg-white text-white dark:text-black rounded-full flex items-center justify-center font-bold">
+              1
+            </span>
+            <div>
+              <h3 className="font-semibold text-black dark:text-white">Install Dependencies</h3>
+              <p className="text-<%= color %>-600 dark:text-<%= color %>-400">
+                Run <%= installCommand %> to set up all required packages and dependencies.
+              </p>
+            </div>
+          </li>
+          <li className="flex items-start gap-3">
+            <span className="flex-shrink-0 w-8 h-8 bg-black dark:bg-white text-white dark:text-black rounded-full flex items-center justify-center font-bold">
+              2
+            </span>
+            <div>
+              <h3 className="font-semibold text-black dark:text-white">Configure Environment</h3>
+              <p className="text-<%= color %>-600 dark:text-<%= color %>-400">
+                Set up your environment variables in the .env file for local development.
+              </p>
+            </div>
+          </li>
+          <li className="flex items-start gap-3">
+            <span className="flex-shrink-0 w-8 h-8 bg-black dark:bg-white text-white dark:text-black rounded-full flex items-center justify-center font-bold">
+              3
+            </span>
+            <div>
+              <h3 className="font-semibold text-black dark:text-white">Start Development Server</h3>
+              <p className="text-<%= color %>-600 dark:text-<%= color %>-400">
+                Run <%= devCommand %> to start the development server and begin building.
+              </p>
+            </div>
+          </li>
+        </ol>
+      </div>
+
+      <div className="text-center">
+        <Button asChild size="lg">
+          <Link href="/contact" className="gap-2">
+            Need Help? Contact Us
+            <ArrowRight className="h-4 w-4" />
+          </Link>
+        </Button>
+      </div>
+
+      <div className="text-center mt-12">
+        <Link href="/" className="text-<%= color %>-600 dark:text-<%= color %>-400 hover:text-black dark:hover:text-white transition-colors text-lg">
+          ← Back to Home
+        </Link>
+      </div>
+    </div>
+  )
+}
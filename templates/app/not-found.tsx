@@ -0,0 +1,19 @@
+import Link from "next/link"
+import { Button } from "@/components/ui/button"
+
+export default function NotFound() {
+  return (
+    <div className="container mx-auto px-4 py-16 max-w-2xl text-center">
+      <h1 className="text-6xl font-bold mb-4 text-black dark:text-white">404</h1>
+      <h2 className="text-2xl font-semibold mb-6 text-<%= color %>-600 dark:text-<%= color %>-400">
+        Page Not Found
+      </h2>
+      <p className="text-lg mb-8 text-<%= color %>-600 dark:text-<%= color %>-400">
+        The page you are looking for doesn't exist or has been moved.
+      </p>
+      <Button asChild>
+        <Link href="/">Go Home</Link>
+      </Button>
+    </div>
+  )
+}
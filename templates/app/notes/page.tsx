@@ -0,0 +1,53 @@
+import type { Metadata } from "next"
+import { connection } from "next/server"
+import { desc } from "drizzle-orm"
+import { StreamingSection } from "@/components/streaming-layout"
+import { db } from "@/lib/db"
+import { notes } from "@/lib/db/schema"
+
+export const metadata: Metadata = {
+  title: "Notes",
+}
+
+export default function NotesPage() {
+  return (
+    <div className="container mx-auto px-4 py-16 max-w-2xl">
+      <h1 className="text-4xl font-bold text-left mb-6 text-black dark:text-white">Notes</h1>
+      <p className="text-lg text-left mb-8 text-<%= color %>-600 dark:text-<%= color %>-400">
+        Read from the database on every request. The heading is sent right away and the list streams in once the query returns.
+      </p>
+      <StreamingSection>
+        <NoteList />
+      </StreamingSection>
+    </div>
+  )
+}
+
+// A server component: the query runs on the server and never reaches the browser
+async function NoteList() {
+  // Read at request time, not when the page is built
+  await connection()
+  const rows = await db.select().from(notes).orderBy(desc(notes.createdAt)).limit(20)
+
+  if (rows.length === 0) {
+    return (
+      <p className="text-lg text-<%= color %>-600 dark:text-<%= color %>-400">
+        No notes yet. Create the table with <code><%= db.pushCommand %></code>, then add rows with <code><%= db.studioCommand %></code>.
+      </p>
+    )
+  }
+
+  return (
+    <ul className="space-y-6">
+      {rows.map((note) => (
+        <li key={note.id} className="border-b border-<%= color %>-200 dark:border-<%= color %>-800 pb-6">
+          <h2 className="text-xl font-semibold text-black dark:text-white">{note.title}</h2>
+          <time dateTime={note.createdAt.toISOString()} className="text-sm text-<%= color %>-500">
+            {note.createdAt.toLocaleDateString("en-US", { dateStyle: "medium" })}
+          </time>
+          {note.body && <p className="mt-2 text-lg text-black dark:text-white">{note.body}</p>}
+        </li>
+      ))}
+    </ul>
+  )
+}
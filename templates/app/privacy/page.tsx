@@ -0,0 +1,56 @@
+import Link from "next/link"
+<% if features.analytics %>
+import { CookieSettingsButton } from "@/components/cookie-banner"
+<% end %>
+
+export default function Privacy() {
+  return (
+    <div className="container mx-auto px-4 py-16 max-w-2xl">
+      <h1 className="text-4xl font-bold text-left mb-6 text-black dark:text-white">Privacy Policy</h1>
+      <p className="text-lg text-left mb-2 text-black dark:text-white">
+        This Privacy Policy describes how your personal information is collected, used, and shared when you visit or make a purchase from our website.
+      </p>
+      <p className="text-lg text-left mb-2 text-black dark:text-white">
+        We do not collect any personal information from you unless you voluntarily submit it to us.
+      </p>
+      <p className="text-lg text-left mb-2 text-black dark:text-white">
+        We use your email address to send you updates about our products and services, and to respond to your inquiries.
+      </p>
+<% if !features.analytics %>
+      <p className="text-lg text-left mb-2 text-black dark:text-white">
+        We do not share your personal information with third parties.
+      </p>
+<% end %>
+<% if features.analytics %>
+      <p className="text-lg text-left mb-2 text-black dark:text-white">
+        We do not share your personal information with third parties, except for the analytics described below.
+      </p>
+<% end %>
+      <p className="text-lg text-left mb-2 text-black dark:text-white">
+        We take reasonable measures to protect your personal information from unauthorized access, disclosure, alteration, or destruction.
+      </p>
+<% if features.analytics %>
+      <h2 className="text-2xl font-semibold text-left mt-8 mb-4 text-black dark:text-white">Analytics</h2>
+      <p className="text-lg text-left mb-2 text-black dark:text-white">
+        With your consent, we use <%= analytics.privacy %>
+      </p>
+      <p className="text-lg text-left mb-4 text-black dark:text-white">
+        It only loads after you accept it in the cookie banner. You can change your answer at any time:
+      </p>
+      <CookieSettingsButton />
+      <h2 className="text-2xl font-semibold text-left mt-8 mb-4 text-black dark:text-white">Changes</h2>
+<% end %>
+      <p className="text-lg text-left mb-2 text-black dark:text-white">
+        We may update this Privacy Policy from time to time. We will notify you of any changes by posting the new Privacy Policy on this page.
+      </p>
+      <p className="text-lg text-left mb-2 text-black dark:text-white">
+        If you have any questions about this Privacy Policy, please contact us.
+      </p>
+      <div className="text-left mt-12">
+        <Link href="/" className="text-<%= color %>-600 dark:text-<%= color %>-400 hover:text-black dark:hover:text-white transition-colors text-lg">
+          ← Back to Home
+        </Link>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,15 @@
+import { MetadataRoute } from "next"
+import { publicEnv } from "@/lib/env"
+
+export default function robots(): MetadataRoute.Robots {
+  const baseUrl = publicEnv.NEXT_PUBLIC_APP_URL
+  
+  return {
+    rules: {
+      userAgent: '*',
+      allow: '/',
+      disallow: ['/api/', '/admin/'],
+    },
+    sitemap: `${baseUrl}/sitemap.xml`,
+  }
+}
@@ -0,0 +1,52 @@
+import { MetadataRoute } from "next"
+<% if features.blog %>
+import { getAllPosts, getAllTags } from "@/lib/blog"
+<% end %>
+import { publicEnv } from "@/lib/env"
+import { routes } from "@/lib/site-config"
+
+<% if features.blog %>
+// Built from the route manifest in lib/site-config.ts, plus every blog post
+// and tag page
+export default async function sitemap(): Promise<MetadataRoute.Sitemap> {
+<% end %>
+<% if !features.blog %>
+// Built from the route manifest in lib/site-config.ts
+export default function sitemap(): MetadataRoute.Sitemap {
+<% end %>
+  const baseUrl = publicEnv.NEXT_PUBLIC_APP_URL
+
+<% if features.blog %>
+  const pages: MetadataRoute.Sitemap = routes.flatMap((route) =>
+<% end %>
+<% if !features.blog %>
+  return routes.flatMap((route) =>
+<% end %>
+    route.sitemap
+      ? [{
+          url: route.path === "/" ? baseUrl : `${baseUrl}${route.path}`,
+          lastModified: new Date(),
+          ...route.sitemap,
+        }]
+      : []
+  )
+<% if features.blog %>
+
+  const [posts, tags] = await Promise.all([getAllPosts(), getAllTags()])
+  return [
+    ...pages,
+    ...posts.map((post) => ({
+      url: `${baseUrl}/blog/${post.slug}`,
+      lastModified: post.updated ?? post.date,
+      changeFrequency: "monthly" as const,
+      priority: 0.6,
+    })),
+    ...tags.map((tag) => ({
+      url: `${baseUrl}/blog/tags/${tag.slug}`,
+      lastModified: new Date(),
+      changeFrequency: "weekly" as const,
+      priority: 0.4,
+    })),
+  ]
+<% end %>
+}
@@ -0,0 +1,37 @@
+"use client"
+
+<% if analytics.ga %>
+import { GoogleAnalytics } from "@next/third-parties/google"
+<% end %>
+<% if analytics.gtm %>
+import { GoogleTagManager } from "@next/third-parties/google"
+<% end %>
+<% if analytics.plausible %>
+import Script from "next/script"
+<% end %>
+import { useConsent } from "@/components/consent-provider"
+import { publicEnv } from "@/lib/env"
+
+// Loads <%= analytics.label %> once the visitor accepts the cookie banner.
+// Nothing loads while <%= analytics.env %> is empty.
+export function Analytics() {
+  const { consent } = useConsent()
+<% if analytics.ga %>
+  const id = publicEnv.NEXT_PUBLIC_GA_ID
+  if (consent !== "granted" || !id) return null
+
+  return <GoogleAnalytics gaId={id} />
+<% end %>
+<% if analytics.gtm %>
+  const id = publicEnv.NEXT_PUBLIC_GTM_ID
+  if (consent !== "granted" || !id) return null
+
+  return <GoogleTagManager gtmId={id} />
+<% end %>
+<% if analytics.plausible %>
+  const domain = publicEnv.NEXT_PUBLIC_PLAUSIBLE_DOMAIN
+  if (consent !== "granted" || !domain) return null
+
+  return <Script defer data-domain={domain} src="https://plausible.io/js/script.js" strategy="afterInteractive" />
+<% end %>
+}
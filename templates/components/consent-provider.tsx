@@ -0,0 +1,68 @@
+"use client"
+
+import * as React from "react"
+
+export type Consent = "granted" | "denied"
+
+type ConsentContextValue = {
+  // null until the visitor answers the cookie banner, undefined while the
+  // stored answer has not been read yet (on the server and while hydrating)
+  consent: Consent | null | undefined
+  setConsent: (consent: Consent) => void
+  // Asks again. Scripts that already loaded keep running until the page is
+  // reloaded, so a granted consent is withdrawn with a reload.
+  resetConsent: () => void
+}
+
+// The answer is kept in the browser only, so pages stay static
+const STORAGE_KEY = "cookie-consent"
+const listeners = new Set<() => void>()
+
+function subscribe(listener: () => void) {
+  listeners.add(listener)
+  // Answers given in another tab
+  window.addEventListener("storage", listener)
+  return () => {
+    listeners.delete(listener)
+    window.removeEventListener("storage", listener)
+  }
+}
+
+function readConsent(): Consent | null {
+  const value = window.localStorage.getItem(STORAGE_KEY)
+  return value === "granted" || value === "denied" ? value : null
+}
+
+function writeConsent(consent: Consent | null) {
+  if (consent) {
+    window.localStorage.setItem(STORAGE_KEY, consent)
+  } else {
+    window.localStorage.removeItem(STORAGE_KEY)
+  }
+  for (const listener of listeners) listener()
+}
+
+const ConsentContext = React.createContext<ConsentContextValue | null>(null)
+
+export function ConsentProvider({ children }: { children: React.ReactNode }) {
+  const consent = React.useSyncExternalStore(subscribe, readConsent, () => undefined)
+
+  const value = React.useMemo<ConsentContextValue>(() => ({
+    consent,
+    setConsent: writeConsent,
+    resetConsent() {
+      writeConsent(null)
+      if (consent === "granted") window.location.reload()
+    },
+  }), [consent])
+
+  return <ConsentContext.Provider value={value}>{children}</ConsentContext.Provider>
+}
+
+export function useConsent() {
+  const context = React.useContext(ConsentContext)
+  if (!context) {
+    throw new Error("useConsent must be used inside <ConsentProvider>")
+  }
+  return context
+}
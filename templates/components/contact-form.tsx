@@ -0,0 +1,98 @@
+"use client"
+
+import { useActionState } from "react"
+import { sendContactMessage, type ContactState } from "@/app/contact/actions"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Textarea } from "@/components/ui/textarea"
+import { Label } from "@/components/ui/label"
+
+const initialState: ContactState = { status: "idle" }
+
+const fieldClassName = "text-lg bg-white dark:bg-black border-<%= color %>-200 dark:border-<%= color %>-700 text-black dark:text-white placeholder-<%= color %>-400 dark:placeholder-<%= color %>-500"
+
+function FieldError({ id, errors }: { id: string; errors?: string[] }) {
+  if (!errors?.length) return null
+  return (
+    <p id={id} className="text-sm text-red-600 dark:text-red-400">
+      {errors[0]}
+    </p>
+  )
+}
+
+export function ContactForm() {
+  const [state, formAction, pending] = useActionState(sendContactMessage, initialState)
+  const errors = state.errors ?? {}
+
+  return (
+    <form action={formAction} className="space-y-6" noValidate>
+      {state.message && (
+        <p
+          role="status"
+          className={state.status === "success"
+            ? "text-lg text-green-700 dark:text-green-400"
+            : "text-lg text-red-600 dark:text-red-400"}
+        >
+          {state.message}
+        </p>
+      )}
+
+      {/* Honeypot: hidden from people, filled in by bots */}
+      <div className="absolute -left-[9999px]" aria-hidden="true">
+        <label htmlFor="website">Website</label>
+        <input id="website" name="website" type="text" tabIndex={-1} autoComplete="off" />
+      </div>
+
+      <div className="space-y-3">
+        <Label htmlFor="name" className="text-lg text-black dark:text-white">Name</Label>
+        <Input
+          id="name"
+          name="name"
+          defaultValue={state.values?.name}
+          placeholder="Your name"
+          aria-invalid={Boolean(errors.name)}
+          aria-describedby={errors.name ? "name-error" : undefined}
+          className={fieldClassName}
+          required
+        />
+        <FieldError id="name-error" errors={errors.name} />
+      </div>
+
+      <div className="space-y-3">
+        <Label htmlFor="email" className="text-lg text-black dark:text-white">Email</Label>
+        <Input
+          id="email"
+          name="email"
+          type="email"
+          defaultValue={state.values?.email}
+          placeholder="your.email@example.com"
+          aria-invalid={Boolean(errors.email)}
+          aria-describedby={errors.email ? "email-error" : undefined}
+          className={fieldClassName}
+          required
+        />
+        <FieldError id="email-error" errors={errors.email} />
+      </div>
+
+      <div className="space-y-3">
+        <Label htmlFor="message" className="text-lg text-black dark:text-white">Message</Label>
+        <Textarea
+          id="message"
+          name="message"
+          defaultValue={state.values?.message}
+          placeholder="Your message..."
+          rows={6}
+          aria-invalid={Boolean(errors.message)}
+          aria-describedby={errors.message ? "message-error" : undefined}
+          className={fieldClassName}
+          required
+        />
+        <FieldError id="message-error" errors={errors.message} />
+      </div>
+
+      <Button type="submit" className="w-full text-lg" disabled={pending}>
+        {pending ? "Sending..." : "Send Message"}
+      </Button>
+    </form>
+  )
+}
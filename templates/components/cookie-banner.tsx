@@ -0,0 +1,53 @@
+"use client"
+
+<% if pages.privacy %>
+import Link from "next/link"
+<% end %>
+import { useConsent } from "@/components/consent-provider"
+import { Button } from "@/components/ui/button"
+
+// Asks before components/analytics.tsx loads anything. Hidden once the
+// visitor has answered.
+export function CookieBanner() {
+  const { consent, setConsent } = useConsent()
+  if (consent !== null) return null
+
+  return (
+    <div
+      role="region"
+      aria-label="Cookie consent"
+      className="fixed inset-x-0 bottom-0 z-50 border-t border-<%= color %>-200 dark:border-<%= color %>-800 bg-white dark:bg-black"
+    >
+      <div className="container mx-auto px-4 py-4 flex flex-col md:flex-row items-center justify-between gap-4">
+        <p className="text-sm text-<%= color %>-600 dark:text-<%= color %>-400">
+          We would like to use <%= analytics.label %> to see how this site is used. It only loads if you accept.
+<% if pages.privacy %>
+          {" "}
+          <Link href="/privacy" className="underline hover:text-black dark:hover:text-white">
+            Privacy Policy
+          </Link>
+<% end %>
+        </p>
+        <div className="flex gap-2 shrink-0">
+          <Button variant="outline" size="sm" onClick={() => setConsent("denied")}>
+            Decline
+          </Button>
+          <Button size="sm" onClick={() => setConsent("granted")}>
+            Accept
+          </Button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Shows the banner again so the visitor can change their answer
+export function CookieSettingsButton() {
+  const { resetConsent } = useConsent()
+
+  return (
+    <Button variant="outline" onClick={resetConsent}>
+      Cookie settings
+    </Button>
+  )
+}
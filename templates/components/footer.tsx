@@ -0,0 +1,34 @@
+"use client"
+
+import * as React from "react"
+import { HoverPrefetchLink } from "@/components/hover-prefetch-link"
+import { publicEnv } from "@/lib/env"
+import { routesFor } from "@/lib/site-config"
+
+export function Footer() {
+  return (
+    <footer className="bg-white dark:bg-black border-t border-<%= color %>-200 dark:border-<%= color %>-800">
+      <div className="container mx-auto px-4 py-6">
+        <div className="flex flex-col md:flex-row justify-between items-center space-y-4 md:space-y-0">
+          <div className="text-center md:text-left">
+            <h3 className="text-lg font-semibold text-black dark:text-white">
+              {publicEnv.NEXT_PUBLIC_APP_NAME}
+            </h3>
+            <p className="text-<%= color %>-600 dark:text-<%= color %>-400 text-sm mt-1">
+              &copy; {new Date().getFullYear()} All rights reserved.
+            </p>
+          </div>
+          <nav className="flex space-x-6">
+            {routesFor("footer").map((route) => (
+              <HoverPrefetchLink key={route.path} href={route.path}>
+                <span className="text-<%= color %>-600 dark:text-<%= color %>-400 hover:text-black dark:hover:text-white transition-colors text-sm">
+                  {route.label}
+                </span>
+              </HoverPrefetchLink>
+            ))}
+          </nav>
+        </div>
+      </div>
+    </footer>
+  )
+}
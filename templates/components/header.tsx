@@ -0,0 +1,45 @@
+"use client"
+
+import * as React from "react"
+import Link from "next/link"
+import { Button } from "@/components/ui/button"
+import { ModeToggle } from "@/components/mode-toggle"
+import { HoverPrefetchLink } from "@/components/hover-prefetch-link"
+import { MobileMenu } from "@/components/mobile-menu"
+import { publicEnv } from "@/lib/env"
+import { routesFor } from "@/lib/site-config"
+
+export function Header() {
+  return (
+    <header className="bg-white dark:bg-black border-b border-<%= color %>-200 dark:border-<%= color %>-800">
+      <div className="container mx-auto px-4 py-4 flex justify-between items-center">
+        <Link href="/" className="text-xl font-semibold text-black dark:text-white hover:opacity-80 transition-opacity">
+          {publicEnv.NEXT_PUBLIC_APP_NAME}
+        </Link>
+        
+        {/* Desktop Navigation */}
+        <nav className="hidden md:flex items-center space-x-6">
+          {routesFor("header").map((route) =>
+            route.highlight ? (
+              <Button key={route.path} asChild variant="outline" className="border-<%= color %>-300 dark:border-<%= color %>-600 text-<%= color %>-700 dark:text-<%= color %>-300 hover:bg-<%= color %>-50 dark:hover:bg-<%= color %>-800">
+                <HoverPrefetchLink href={route.path}>
+                  {route.label}
+                </HoverPrefetchLink>
+              </Button>
+            ) : (
+              <HoverPrefetchLink key={route.path} href={route.path}>
+                <span className="text-<%= color %>-600 dark:text-<%= color %>-400 hover:text-black dark:hover:text-white transition-colors">
+                  {route.label}
+                </span>
+              </HoverPrefetchLink>
+            )
+          )}
+          <ModeToggle />
+        </nav>
+
+        {/* Mobile Navigation */}
+        <MobileMenu />
+      </div>
+    </header>
+  )
+}
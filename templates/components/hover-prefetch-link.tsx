@@ -0,0 +1,24 @@
+"use client"
+
+import Link from "next/link"
+import { useState } from "react"
+
+export function HoverPrefetchLink({
+  href,
+  children,
+}: {
+  href: string
+  children: React.ReactNode
+}) {
+  const [prefetch, setPrefetch] = useState(false)
+
+  return (
+    <Link
+      href={href}
+      prefetch={prefetch}
+      onMouseEnter={() => setPrefetch(true)}
+    >
+      {children}
+    </Link>
+  )
+}
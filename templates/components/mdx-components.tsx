@@ -0,0 +1,18 @@
+import type { ComponentProps } from "react"
+import Link from "next/link"
+import type { MDXRemoteProps } from "next-mdx-remote/rsc"
+
+// Links to pages of the site are client-side navigations; others open in a
+// new tab
+function MdxLink({ href = "", ...props }: ComponentProps<"a">) {
+  if (href.startsWith("/") || href.startsWith("#")) {
+    return <Link href={href} {...props} />
+  }
+  return <a href={href} target="_blank" rel="noopener noreferrer" {...props} />
+}
+
+// The elements post bodies render with. Components added here can also be
+// used by name in the .mdx files, e.g. <Callout>.
+export const mdxComponents: MDXRemoteProps["components"] = {
+  a: MdxLink,
+}
@@ -0,0 +1,61 @@
+"use client"
+
+import * as React from "react"
+import Link from "next/link"
+import { Menu, X } from "lucide-react"
+import { ModeToggle } from "@/components/mode-toggle"
+import { routesFor } from "@/lib/site-config"
+
+export function MobileMenu() {
+  const [open, setOpen] = React.useState(false)
+
+  return (
+    <div className="md:hidden">
+      <button
+        onClick={() => setOpen(!open)}
+        className="p-2 hover:bg-<%= color %>-100 dark:hover:bg-<%= color %>-800 rounded-md"
+        aria-label="Toggle menu"
+      >
+        {open ? <X className="h-5 w-5" /> : <Menu className="h-5 w-5" />}
+      </button>
+
+      {open && (
+        <>
+          <div
+            className="fixed inset-0 bg-black/50 z-40"
+            onClick={() => setOpen(false)}
+          />
+          <nav className="fixed top-0 right-0 h-full w-64 bg-white dark:bg-black border-l border-<%= color %>-200 dark:border-<%= color %>-800 p-6 z-50 flex flex-col gap-6">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold">Menu</h2>
+              <button
+                onClick={() => setOpen(false)}
+                className="p-2 hover:bg-<%= color %>-100 dark:hover:bg-<%= color %>-800 rounded-md"
+                aria-label="Close menu"
+              >
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            {routesFor("mobile").map((route) => (
+              <Link
+                key={route.path}
+                href={route.path}
+                onClick={() => setOpen(false)}
+              >
+                {route.label}
+              </Link>
+            ))}
+
+            <div className="mt-auto pt-6 border-t border-<%= color %>-200 dark:border-<%= color %>-800">
+              <div className="flex items-center justify-between">
+                <span className="text-sm">Theme</span>
+                <ModeToggle />
+              </div>
+            </div>
+          </nav>
+        </>
+      )}
+    </div>
+  )
+}
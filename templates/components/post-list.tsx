@@ -0,0 +1,28 @@
+import Link from "next/link"
+import { formatDate, type Post } from "@/lib/blog"
+
+export function PostList({ posts }: { posts: Post[] }) {
+  if (posts.length === 0) {
+    return (
+      <p className="text-lg text-<%= color %>-600 dark:text-<%= color %>-400">
+        No posts yet. Add an .mdx file to content/posts.
+      </p>
+    )
+  }
+
+  return (
+    <ul className="space-y-8">
+      {posts.map((post) => (
+        <li key={post.slug}>
+          <Link href={`/blog/${post.slug}`} className="group block">
+            <h2 className="text-2xl font-semibold text-black dark:text-white group-hover:underline">{post.title}</h2>
+            <time dateTime={post.date.toISOString()} className="text-sm text-<%= color %>-500">
+              {formatDate(post.date)}
+            </time>
+            <p className="mt-2 text-lg text-<%= color %>-600 dark:text-<%= color %>-400">{post.description}</p>
+          </Link>
+        </li>
+      ))}
+    </ul>
+  )
+}
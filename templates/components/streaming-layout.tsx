@@ -0,0 +1,33 @@
+import { Suspense } from "react"
+import { Skeleton } from "@/components/ui/skeleton"
+
+// Server Component - renders fast, no hydration needed
+export function StreamingSection({ 
+  children,
+  fallback = <Skeleton className="h-32 w-full" />
+}: { 
+  children: React.ReactNode
+  fallback?: React.ReactNode 
+}) {
+  return (
+    <Suspense fallback={fallback}>
+      {children}
+    </Suspense>
+  )
+}
+
+// Use this wrapper for slow data fetches
+export function StreamingContent({ children }: { children: React.ReactNode }) {
+  return (
+    <Suspense fallback={
+      <div className="space-y-4">
+        <Skeleton className="h-8 w-3/4" />
+        <Skeleton className="h-4 w-full" />
+        <Skeleton className="h-4 w-full" />
+        <Skeleton className="h-4 w-2/3" />
+      </div>
+    }>
+      {children}
+    </Suspense>
+  )
+}
@@ -0,0 +1,18 @@
+import { loadEnvConfig } from "@next/env"
+import { defineConfig } from "drizzle-kit"
+
+// drizzle-kit runs outside Next.js, so load .env.local the same way
+loadEnvConfig(process.cwd())
+
+if (!process.env.DATABASE_URL) {
+  throw new Error("Set DATABASE_URL in .env.local (see .env.example)")
+}
+
+export default defineConfig({
+  schema: "./lib/db/schema.ts",
+  out: "./drizzle",
+  dialect: "<%= db.kitDialect %>",
+  dbCredentials: {
+    url: process.env.DATABASE_URL,
+  },
+})
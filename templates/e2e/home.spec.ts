@@ -0,0 +1,29 @@
+import { expect, test } from "@playwright/test"
+
+test("home page renders", async ({ page }) => {
+  const response = await page.goto("/")
+  expect(response?.ok()).toBe(true)
+<% if features.home %>
+  await expect(page.getByRole("heading", { name: "Hello" })).toBeVisible()
+<% end %>
+})
+<% if features.navigation %>
+
+test("header links lead to their pages", async ({ page }) => {
+  await page.goto("/")
+  const links = page.getByRole("banner").getByRole("link")
+  for (const href of await links.evaluateAll((elements) => elements.map((element) => element.getAttribute("href")))) {
+    if (!href?.startsWith("/")) continue
+    const response = await page.goto(href)
+    expect(response?.ok(), href).toBe(true)
+  }
+})
+<% end %>
+<% if features.essentials %>
+
+test("unknown paths show the 404 page", async ({ page }) => {
+  const response = await page.goto("/this-page-does-not-exist")
+  expect(response?.status()).toBe(404)
+  await expect(page.getByRole("heading", { name: "404" })).toBeVisible()
+})
+<% end %>
@@ -0,0 +1,35 @@
+import type { Metadata } from "next"
+<% if page.hasParent %>
+import Link from "next/link"
+<% end %>
+
+const section = <%= page.title %>
+
+type Props = {
+  params: Promise<{ <%= page.param %>: string }>
+}
+
+export async function generateMetadata({ params }: Props): Promise<Metadata> {
+  const { <%= page.param %> } = await params
+  return { title: `${<%= page.param %>} | ${section}` }
+}
+
+export default async function <%= page.component %>({ params }: Props) {
+  const { <%= page.param %> } = await params
+
+  return (
+    <div className="container mx-auto px-4 py-16 max-w-2xl">
+      <h1 className="text-4xl font-bold text-left mb-6 text-black dark:text-white">{<%= page.param %>}</h1>
+      <p className="text-lg text-left mb-2 text-black dark:text-white">
+        Lorem ipsum dolor sit amet, consectetur adipiscing elit. Sed do eiusmod tempor incididunt ut labore et dolore magna aliqua.
+      </p>
+<% if page.hasParent %>
+      <div className="text-left mt-12">
+        <Link href=<%= page.parentPath %> className="text-<%= color %>-600 dark:text-<%= color %>-400 hover:text-black dark:hover:text-white transition-colors text-lg">
+          ← Back to {section}
+        </Link>
+      </div>
+<% end %>
+    </div>
+  )
+}
@@ -0,0 +1,24 @@
+import type { Metadata } from "next"
+import Link from "next/link"
+
+const title = <%= page.title %>
+
+export const metadata: Metadata = {
+  title,
+}
+
+export default function <%= page.component %>() {
+  return (
+    <div className="container mx-auto px-4 py-16 max-w-2xl">
+      <h1 className="text-4xl font-bold text-left mb-6 text-black dark:text-white">{title}</h1>
+      <p className="text-lg text-left mb-2 text-black dark:text-white">
+        Lorem ipsum dolor sit amet, consectetur adipiscing elit. Sed do eiusmod tempor incididunt ut labore et dolore magna aliqua.
+      </p>
+      <div className="text-left mt-12">
+        <Link href="/" className="text-<%= color %>-600 dark:text-<%= color %>-400 hover:text-black dark:hover:text-white transition-colors text-lg">
+          ← Back to Home
+        </Link>
+      </div>
+    </div>
+  )
+}
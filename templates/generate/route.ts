@@ -0,0 +1,8 @@
+  {
+    label: <%= route.label %>,
+    path: <%= route.path %>,
+    placement: [<%= route.placement %>],
+<% if route.sitemap %>
+    sitemap: { changeFrequency: <%= route.sitemap.changeFrequency %>, priority: <%= route.sitemap.priority %> },
+<% end %>
+  },
@@ -0,0 +1,90 @@
+import { readdir, readFile } from "fs/promises"
+import path from "path"
+import matter from "gray-matter"
+import { cache } from "react"
+import { z } from "zod"
+
+// Posts are the .mdx files in content/posts, named after their slug, with
+// frontmatter like:
+//
+//   ---
+//   title: Hello, world
+//   description: One sentence for the post list, the feed and search results
+//   date: 2026-01-15
+//   tags: [nextjs, mdx]
+//   ---
+//
+// Posts with `draft: true` are only listed by `next dev`.
+const POSTS_DIR = path.join(process.cwd(), "content/posts")
+
+const frontmatterSchema = z.object({
+  title: z.string(),
+  description: z.string(),
+  date: z.coerce.date(),
+  updated: z.coerce.date().optional(),
+  tags: z.array(z.string()).default([]),
+  draft: z.boolean().default(false),
+})
+
+export type Post = z.output<typeof frontmatterSchema> & {
+  slug: string
+  // The MDX body, without the frontmatter
+  content: string
+}
+
+export type Tag = {
+  name: string
+  slug: string
+  count: number
+}
+
+// "Next.js" -> "next-js"
+export function tagSlug(tag: string) {
+  return tag.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "")
+}
+
+async function readPost(file: string): Promise<Post> {
+  const { data, content } = matter(await readFile(path.join(POSTS_DIR, file), "utf-8"))
+  const result = frontmatterSchema.safeParse(data)
+  if (!result.success) {
+    const problems = result.error.issues.map((issue) => `  - ${issue.path.join(".")}: ${issue.message}`)
+    throw new Error(`Invalid frontmatter in content/posts/${file}:\n${problems.join("\n")}`)
+  }
+  return { ...result.data, slug: file.replace(/\.mdx$/, ""), content }
+}
+
+// Newest first. Cached per request, so a page and its metadata read the
+// files once.
+export const getAllPosts = cache(async () => {
+  const files = (await readdir(POSTS_DIR)).filter((file) => file.endsWith(".mdx"))
+  const posts = await Promise.all(files.map(readPost))
+  return posts
+    .filter((post) => !post.draft || process.env.NODE_ENV === "development")
+    .sort((a, b) => b.date.getTime() - a.date.getTime())
+})
+
+export async function getPost(slug: string) {
+  return (await getAllPosts()).find((post) => post.slug === slug) ?? null
+}
+
+// Every tag in use, most used first
+export async function getAllTags() {
+  const tags = new Map<string, Tag>()
+  for (const post of await getAllPosts()) {
+    for (const name of post.tags) {
+      const slug = tagSlug(name)
+      const tag = tags.get(slug) ?? { name, slug, count: 0 }
+      tag.count += 1
+      tags.set(slug, tag)
+    }
+  }
+  return [...tags.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+}
+
+export async function getPostsByTag(slug: string) {
+  return (await getAllPosts()).filter((post) => post.tags.some((tag) => tagSlug(tag) === slug))
+}
+
+export function formatDate(date: Date) {
+  return date.toLocaleDateString("en-US", { dateStyle: "long", timeZone: "UTC" })
+}
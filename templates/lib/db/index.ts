@@ -0,0 +1,34 @@
+<% if db.sqlite %>
+import { createClient, type Client } from "@libsql/client"
+import { drizzle } from "drizzle-orm/libsql"
+<% end %>
+<% if db.postgres %>
+import postgres from "postgres"
+import { drizzle } from "drizzle-orm/postgres-js"
+<% end %>
+import { serverEnv } from "@/lib/env"
+import * as schema from "@/lib/db/schema"
+
+/**
+ * The Drizzle client, connected to DATABASE_URL. Import it from server
+ * components, server actions and route handlers only.
+ *
+ * The connection is kept on globalThis in development, so hot reloads reuse
+ * it instead of opening a new one on every change.
+ */
+
+<% if db.sqlite %>
+const globalForDb = globalThis as unknown as { dbClient?: Client }
+
+const client = globalForDb.dbClient ?? createClient({ url: serverEnv.DATABASE_URL })
+<% end %>
+<% if db.postgres %>
+const globalForDb = globalThis as unknown as { dbClient?: postgres.Sql }
+
+const client = globalForDb.dbClient ?? postgres(serverEnv.DATABASE_URL)
+<% end %>
+if (process.env.NODE_ENV !== "production") {
+  globalForDb.dbClient = client
+}
+
+export const db = drizzle(client, { schema })
@@ -0,0 +1,33 @@
+<% if db.sqlite %>
+import { sql } from "drizzle-orm"
+import { integer, sqliteTable, text } from "drizzle-orm/sqlite-core"
+<% end %>
+<% if db.postgres %>
+import { pgTable, serial, text, timestamp } from "drizzle-orm/pg-core"
+<% end %>
+
+/**
+ * The database tables. After changing them, update the database with
+ * `db:push` during development, or create a migration in drizzle/ with
+ * `db:generate` and apply it with `db:migrate`.
+ */
+
+<% if db.sqlite %>
+export const notes = sqliteTable("notes", {
+  id: integer("id").primaryKey({ autoIncrement: true }),
+  title: text("title").notNull(),
+  body: text("body").notNull().default(""),
+  createdAt: integer("created_at", { mode: "timestamp" }).notNull().default(sql`(unixepoch())`),
+})
+<% end %>
+<% if db.postgres %>
+export const notes = pgTable("notes", {
+  id: serial("id").primaryKey(),
+  title: text("title").notNull(),
+  body: text("body").notNull().default(""),
+  createdAt: timestamp("created_at", { withTimezone: true }).notNull().defaultNow(),
+})
+<% end %>
+
+export type Note = typeof notes.$inferSelect
+export type NewNote = typeof notes.$inferInsert
@@ -0,0 +1,53 @@
+import { z } from "zod"
+
+/**
+ * Environment variables, checked when this module is first imported: by
+ * next.config.ts at build and start, and by every page and component that
+ * reads them. Missing or invalid values stop the app with a list of what to
+ * fix. Empty values count as unset.
+ *
+ * To add a variable, add it to a schema below and to .env.example.
+ */
+
+// NEXT_PUBLIC_* variables, inlined into the browser bundle at build time
+const publicSchema = z.object({
+<% for entry in envSchema.public %>
+  <%= entry.key %>: <%= entry.schema %>,
+<% end %>
+})
+
+// Variables only the server can read
+const serverSchema = z.object({
+<% for entry in envSchema.server %>
+  <%= entry.key %>: <%= entry.schema %>,
+<% end %>
+})
+
+function parse<T extends z.ZodType>(kind: string, schema: T, values: Record<string, string | undefined>): z.output<T> {
+  const set = Object.fromEntries(Object.entries(values).filter(([, value]) => value !== ""))
+  const result = schema.safeParse(set)
+  if (!result.success) {
+    const problems = result.error.issues.map((issue) => `  - ${issue.path.join(".")}: ${issue.message}`)
+    throw new Error(`Invalid ${kind} environment variables:\n${problems.join("\n")}\nSet them in .env.local (see .env.example).`)
+  }
+  return result.data
+}
+
+// Next.js only inlines public variables that are read by their full name, so
+// each one is listed here
+export const publicEnv = parse("public", publicSchema, {
+<% for entry in envSchema.public %>
+  <%= entry.key %>: process.env.<%= entry.key %>,
+<% end %>
+})
+
+type ServerEnv = z.output<typeof serverSchema>
+
+// Reading a server variable in the browser is a bug, so it throws there
+export const serverEnv: ServerEnv = typeof window === "undefined"
+  ? parse("server", serverSchema, process.env)
+  : new Proxy({} as ServerEnv, {
+      get(_, key) {
+        throw new Error(`${String(key)} is a server environment variable and cannot be read in the browser`)
+      },
+    })
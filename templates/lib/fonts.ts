@@ -0,0 +1,18 @@
+import { <%= font.loader %> } from "next/font/google"
+
+// Optimize font loading - prevents layout shift
+export const <%= font.name %> = <%= font.loader %>({
+  subsets: ["latin"],
+  display: "swap", // Use fallback font while loading
+  preload: true,
+  variable: "<%= font.variable %>",
+  fallback: ["system-ui", "arial"],
+})
+
+// For headings - load only when needed
+export const <%= font.heading.name %> = <%= font.loader %>({
+  subsets: ["latin"],
+  display: "swap",
+  weight: ["600", "700", "800"],
+  variable: "<%= font.heading.variable %>",
+})
@@ -0,0 +1,63 @@
+import { randomUUID } from "crypto"
+import { mkdir, writeFile } from "fs/promises"
+import path from "path"
+import { publicEnv, serverEnv } from "@/lib/env"
+
+export type MailMessage = {
+  subject: string
+  text: string
+  replyTo?: string
+}
+
+export type Mail = MailMessage & {
+  from: string
+  to: string
+}
+
+export type MailTransport = (mail: Mail) => Promise<void>
+
+// Delivery is picked with MAIL_TRANSPORT:
+//   console  print the message in the server log (default)
+//   file     write one JSON file per message to MAIL_OUTBOX_DIR, for local dev
+//   smtp     send through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASSWORD
+// Add your own (Resend, SES, a queue...) with registerTransport().
+const transports = new Map<string, MailTransport>([
+  ["console", async (mail) => {
+    console.log("[mail]", JSON.stringify(mail, null, 2))
+  }],
+  ["file", async (mail) => {
+    const name = `${new Date().toISOString().replace(/[:.]/g, "-")}-${randomUUID().slice(0, 8)}.json`
+    await mkdir(serverEnv.MAIL_OUTBOX_DIR, { recursive: true })
+    await writeFile(path.join(serverEnv.MAIL_OUTBOX_DIR, name), `${JSON.stringify(mail, null, 2)}\n`)
+  }],
+  ["smtp", async (mail) => {
+    const { default: nodemailer } = await import("nodemailer")
+    const transporter = nodemailer.createTransport({
+      host: serverEnv.SMTP_HOST,
+      port: serverEnv.SMTP_PORT,
+      secure: serverEnv.SMTP_PORT === 465,
+      auth: serverEnv.SMTP_USER
+        ? { user: serverEnv.SMTP_USER, pass: serverEnv.SMTP_PASSWORD }
+        : undefined,
+    })
+    await transporter.sendMail(mail)
+  }],
+])
+
+export function registerTransport(name: string, transport: MailTransport) {
+  transports.set(name, transport)
+}
+
+export async function sendMail(message: MailMessage) {
+  const name = serverEnv.MAIL_TRANSPORT
+  const transport = transports.get(name)
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}", expected one of: ${[...transports.keys()].join(", ")}`)
+  }
+
+  const to = serverEnv.MAIL_TO ?? publicEnv.NEXT_PUBLIC_APP_EMAIL
+  if (!to) {
+    throw new Error("Set MAIL_TO to the address contact messages are sent to")
+  }
+  await transport({ from: serverEnv.MAIL_FROM ?? to, to, ...message })
+}
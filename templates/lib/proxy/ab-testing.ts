@@ -0,0 +1,45 @@
+import type { ProxyHandler } from './chain'
+
+/**
+ * A/B testing proxy handler
+ *
+ * Puts each visitor of an experiment's path in one of its variants at random
+ * and keeps them there with a cookie. The page reads the variant from the
+ * x-ab-<experiment> request header (headers() from next/headers). A variant
+ * with a `rewrite` path serves that page instead, with the URL unchanged.
+ */
+
+type Experiment = {
+  name: string
+  path: string
+  variants: { name: string; rewrite?: string }[]
+}
+
+const EXPERIMENTS: Experiment[] = [
+  {
+    name: 'home',
+    path: '/',
+    variants: [{ name: 'a' }, { name: 'b' }],
+  },
+]
+
+export const abTesting: ProxyHandler = {
+  matcher: EXPERIMENTS.map((experiment) => experiment.path),
+  handle(request, context) {
+    const experiment = EXPERIMENTS.find(({ path }) => path === request.nextUrl.pathname)
+    if (!experiment) return
+
+    const cookie = `ab-${experiment.name}`
+    const assigned = request.cookies.get(cookie)?.value
+    let variant = experiment.variants.find(({ name }) => name === assigned)
+    if (!variant) {
+      variant = experiment.variants[Math.floor(Math.random() * experiment.variants.length)]
+      context.cookies.push([cookie, variant.name, { path: '/', maxAge: 60 * 60 * 24 * 30 }])
+    }
+
+    context.requestHeaders.set(`x-ab-${experiment.name}`, variant.name)
+    if (variant.rewrite) {
+      context.rewrite = new URL(variant.rewrite, request.url)
+    }
+  },
+}
@@ -0,0 +1,25 @@
+import { NextResponse } from 'next/server'
+import type { ProxyHandler } from './chain'
+
+/**
+ * Authentication proxy handler
+ *
+ * Sends visitors without a session cookie to the login page, with the page
+ * they asked for in ?from= so the login can send them back. This only checks
+ * that the cookie is there: verify the session itself where the data is
+ * loaded, since a proxy can be skipped by requests it does not match.
+ */
+
+const SESSION_COOKIE = 'session'
+const LOGIN_PATH = '/login'
+
+export const auth: ProxyHandler = {
+  matcher: ['/dashboard/:path*'],
+  handle(request) {
+    if (request.cookies.has(SESSION_COOKIE)) return
+
+    const login = new URL(LOGIN_PATH, request.url)
+    login.searchParams.set('from', request.nextUrl.pathname + request.nextUrl.search)
+    return NextResponse.redirect(login)
+  },
+}
@@ -0,0 +1,80 @@
+import { NextResponse } from 'next/server'
+import type { NextRequest } from 'next/server'
+
+type CookieArgs = Parameters<NextResponse['cookies']['set']>
+
+/**
+ * State shared by the handlers of one request
+ */
+export type ProxyContext = {
+  // Headers passed on to the page or route handler
+  requestHeaders: Headers
+  // Headers and cookies added to whatever response the chain ends with
+  responseHeaders: Headers
+  cookies: CookieArgs[]
+  // Set by a handler to serve another path without redirecting
+  rewrite?: URL
+}
+
+/**
+ * One step of the proxy chain
+ *
+ * `matcher` uses the config.matcher syntax of Next.js. The proxy runs for
+ * every path in config.matcher of proxy.ts, and each handler only for the
+ * paths in its own matcher, so keep the two in sync when changing one.
+ *
+ * `handle` returns a response to end the chain (a redirect, a 429...) or
+ * nothing to hand the request to the next handler.
+ */
+export type ProxyHandler = {
+  matcher: string[]
+  handle: (
+    request: NextRequest,
+    context: ProxyContext,
+  ) => NextResponse | Response | void | Promise<NextResponse | Response | void>
+}
+
+// The matcher forms used in this folder: "/about", "/blog/:slug",
+// "/dashboard/:path*" and "/((?!api|_next).*)"-style regular expressions
+function toRegExp(pattern: string) {
+  const source = pattern
+    .replace(/\/:\w+\*/g, '(?:/.*)?')
+    .replace(/\/:\w+\+/g, '/.+')
+    .replace(/\/:\w+\?/g, '(?:/[^/]+)?')
+    .replace(/:\w+/g, '[^/]+')
+  return new RegExp(`^${source}/?$`)
+}
+
+function matches(pathname: string, matcher: string[]) {
+  return matcher.some((pattern) => toRegExp(pattern).test(pathname))
+}
+
+function finish(response: NextResponse | Response, context: ProxyContext) {
+  context.responseHeaders.forEach((value, key) => response.headers.set(key, value))
+  if (response instanceof NextResponse) {
+    for (const cookie of context.cookies) response.cookies.set(...cookie)
+  }
+  return response
+}
+
+/**
+ * Run `handlers` in order until one of them responds
+ */
+export function chain(handlers: ProxyHandler[]) {
+  return async function proxy(request: NextRequest) {
+    const context: ProxyContext = {
+      requestHeaders: new Headers(request.headers),
+      responseHeaders: new Headers(),
+      cookies: [],
+    }
+
+    for (const handler of handlers) {
+      if (!matches(request.nextUrl.pathname, handler.matcher)) continue
+      const response = await handler.handle(request, context)
+      if (response) return finish(response, context)
+    }
+
+    const init = { request: { headers: context.requestHeaders } }
+    return finish(context.rewrite ? NextResponse.rewrite(context.rewrite, init) : NextResponse.next(init), context)
+  }
+}
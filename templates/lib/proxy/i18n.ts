@@ -0,0 +1,57 @@
+import { NextResponse } from 'next/server'
+import type { NextRequest } from 'next/server'
+import type { ProxyHandler } from './chain'
+
+/**
+ * Internationalization proxy handler
+ *
+ * Picks the visitor's locale from the NEXT_LOCALE cookie, then the
+ * Accept-Language header, and passes it to pages as the x-locale request
+ * header (read it with headers() from next/headers). The choice is stored in
+ * the cookie so it stays the same on later visits.
+ *
+ * With PREFIX_ROUTES, paths without a locale are redirected to /<locale>/...
+ * Turn it on once the pages live under app/[locale]/.
+ */
+
+const LOCALES = ['en', 'es', 'fr', 'de']
+const DEFAULT_LOCALE = 'en'
+const LOCALE_COOKIE = 'NEXT_LOCALE'
+const PREFIX_ROUTES = false
+
+function preferredLocale(request: NextRequest) {
+  const cookie = request.cookies.get(LOCALE_COOKIE)?.value
+  if (cookie && LOCALES.includes(cookie)) return cookie
+
+  // "fr-CH, fr;q=0.9, en;q=0.8" -> ["fr", "fr", "en"], best first
+  const accepted = (request.headers.get('accept-language') ?? '')
+    .split(',')
+    .map((part) => {
+      const [tag, quality] = part.trim().split(';q=')
+      return { language: tag.split('-')[0].toLowerCase(), quality: quality ? Number(quality) : 1 }
+    })
+    .sort((a, b) => b.quality - a.quality)
+  return accepted.find(({ language }) => LOCALES.includes(language))?.language ?? DEFAULT_LOCALE
+}
+
+export const i18n: ProxyHandler = {
+  matcher: ['/((?!api|_next/static|_next/image|favicon.ico|sitemap.xml|robots.txt).*)'],
+  handle(request, context) {
+    const { pathname } = request.nextUrl
+    const prefix = LOCALES.find((locale) => pathname === `/${locale}` || pathname.startsWith(`/${locale}/`))
+    const locale = prefix ?? preferredLocale(request)
+
+    if (PREFIX_ROUTES && !prefix) {
+      const url = request.nextUrl.clone()
+      url.pathname = `/${locale}${pathname === '/' ? '' : pathname}`
+      const response = NextResponse.redirect(url)
+      response.cookies.set(LOCALE_COOKIE, locale, { path: '/', maxAge: 60 * 60 * 24 * 365 })
+      return response
+    }
+
+    context.requestHeaders.set('x-locale', locale)
+    if (request.cookies.get(LOCALE_COOKIE)?.value !== locale) {
+      context.cookies.push([LOCALE_COOKIE, locale, { path: '/', maxAge: 60 * 60 * 24 * 365 }])
+    }
+  },
+}
@@ -0,0 +1,55 @@
+import { NextResponse } from 'next/server'
+import type { NextRequest } from 'next/server'
+import type { ProxyHandler } from './chain'
+
+/**
+ * Rate limiting proxy handler
+ *
+ * Allows LIMIT requests per client IP in each WINDOW_MS window and answers
+ * the rest with 429 Too Many Requests. Counts are kept in memory, so each
+ * server instance limits on its own; use a shared store such as Redis when
+ * the app runs on more than one.
+ */
+
+const LIMIT = 60
+const WINDOW_MS = 60_000
+
+const windows = new Map<string, { count: number; resetAt: number }>()
+
+function clientIp(request: NextRequest) {
+  return request.headers.get('x-forwarded-for')?.split(',')[0].trim()
+    || request.headers.get('x-real-ip')
+    || 'unknown'
+}
+
+export const rateLimit: ProxyHandler = {
+  matcher: ['/api/:path*'],
+  handle(request, context) {
+    const now = Date.now()
+    const key = clientIp(request)
+    let window = windows.get(key)
+    if (!window || window.resetAt <= now) {
+      // Drop finished windows now and then so the map does not grow forever
+      if (windows.size > 10_000) {
+        for (const [ip, entry] of windows) {
+          if (entry.resetAt <= now) windows.delete(ip)
+        }
+      }
+      window = { count: 0, resetAt: now + WINDOW_MS }
+      windows.set(key, window)
+    }
+    window.count++
+
+    const remaining = Math.max(0, LIMIT - window.count)
+    context.responseHeaders.set('X-RateLimit-Limit', String(LIMIT))
+    context.responseHeaders.set('X-RateLimit-Remaining', String(remaining))
+    context.responseHeaders.set('X-RateLimit-Reset', String(Math.ceil(window.resetAt / 1000)))
+
+    if (window.count > LIMIT) {
+      return NextResponse.json(
+        { error: 'Too many requests' },
+        { status: 429, headers: { 'Retry-After': String(Math.ceil((window.resetAt - now) / 1000)) } },
+      )
+    }
+  },
+}
@@ -0,0 +1,37 @@
+// Every route of the site. The header, mobile menu, footer and sitemap all
+// render from this list, so adding a page means adding one entry here.
+export type Placement = "header" | "mobile" | "footer"
+
+export type Route = {
+  label: string
+  path: string
+  // Where the route is linked from
+  placement: Placement[]
+  // Show as a button in the header
+  highlight?: boolean
+  // Leave out for routes that should not be in sitemap.xml
+  sitemap?: {
+    changeFrequency: "always" | "hourly" | "daily" | "weekly" | "monthly" | "yearly" | "never"
+    priority: number
+  }
+}
+
+export const routes: Route[] = [
+<% for route in routes %>
+  {
+    label: <%= route.label %>,
+    path: <%= route.path %>,
+    placement: [<%= route.placement %>],
+<% if route.highlight %>
+    highlight: true,
+<% end %>
+<% if route.sitemap %>
+    sitemap: { changeFrequency: <%= route.sitemap.changeFrequency %>, priority: <%= route.sitemap.priority %> },
+<% end %>
+  },
+<% end %>
+]
+
+export function routesFor(placement: Placement) {
+  return routes.filter((route) => route.placement.includes(placement))
+}
@@ -0,0 +1,48 @@
+import type { NextConfig } from "next"
+<% if features.env %>
+// Check the environment variables at build and start
+import "./lib/env"
+<% end %>
+
+const nextConfig: NextConfig = {
+  // Performance optimizations
+  compress: true, // Enable gzip compression
+  poweredByHeader: false, // Remove X-Powered-By header
+  
+  // Turbopack is enabled by default in Next.js 16
+  turbopack: {
+    // Turbopack already optimizes bundles automatically
+    // No additional config needed for most cases
+  },
+  
+  experimental: {
+    optimizePackageImports: ['lucide-react', '@radix-ui/react-*', 'next-themes'],
+    // Faster server component rendering
+    serverComponentsHmrCache: true,
+  },
+  
+  logging: {
+    fetches: {
+      fullUrl: true,
+    },
+  },
+  
+  images: {
+    formats: ['image/avif', 'image/webp'], // Use modern formats
+    remotePatterns: [
+      {
+        protocol: 'https',
+        hostname: '**.vercel.app',
+      },
+      {
+        protocol: 'https',
+        hostname: '**.githubusercontent.com',
+      },
+    ],
+    dangerouslyAllowSVG: true,
+    contentDispositionType: 'attachment',
+    contentSecurityPolicy: "default-src 'self'; script-src 'none'; sandbox;",
+  },
+}
+
+export default nextConfig
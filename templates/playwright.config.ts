@@ -0,0 +1,22 @@
+import { defineConfig, devices } from "@playwright/test"
+
+// Browser tests in e2e/, run against the dev server. Install the browsers
+// once with: npx playwright install
+export default defineConfig({
+  testDir: "./e2e",
+  fullyParallel: true,
+  forbidOnly: !!process.env.CI,
+  retries: process.env.CI ? 2 : 0,
+  use: {
+    baseURL: "http://localhost:3000",
+    trace: "on-first-retry",
+  },
+  projects: [
+    { name: "chromium", use: { ...devices["Desktop Chrome"] } },
+  ],
+  webServer: {
+    command: "<%= devCommand %>",
+    url: "http://localhost:3000",
+    reuseExistingServer: !process.env.CI,
+  },
+})
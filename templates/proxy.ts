@@ -0,0 +1,76 @@
+import { NextResponse } from 'next/server'
+import { chain, type ProxyHandler } from './lib/proxy/chain'
+<% if proxyRecipes.rateLimit %>
+import { rateLimit } from './lib/proxy/rate-limit'
+<% end %>
+<% if proxyRecipes.auth %>
+import { auth } from './lib/proxy/auth'
+<% end %>
+<% if proxyRecipes.i18n %>
+import { i18n } from './lib/proxy/i18n'
+<% end %>
+<% if proxyRecipes.abTesting %>
+import { abTesting } from './lib/proxy/ab-testing'
+<% end %>
+
+/**
+ * Next.js 16 Proxy Middleware
+ *
+ * This proxy runs on the Node.js runtime before a request is served. It is a
+ * chain of handlers from lib/proxy/: each one runs for the paths in its own
+ * matcher and can redirect, rewrite, add headers or answer the request
+ * itself. Add a handler by writing one in lib/proxy/ and listing it below.
+ *
+ * Note: This replaces the old 'middleware' convention in Next.js 16
+ */
+
+// Permanent redirects, source path -> destination
+const REDIRECTS: Record<string, string> = {
+  '/old-path': '/new-path',
+}
+
+const redirects: ProxyHandler = {
+  matcher: Object.keys(REDIRECTS),
+  handle(request) {
+    const destination = REDIRECTS[request.nextUrl.pathname]
+    if (destination) {
+      return NextResponse.redirect(new URL(destination, request.url), 308)
+    }
+  },
+}
+
+export const proxy = chain([
+  redirects,
+<% if proxyRecipes.rateLimit %>
+  rateLimit,
+<% end %>
+<% if proxyRecipes.auth %>
+  auth,
+<% end %>
+<% if proxyRecipes.i18n %>
+  i18n,
+<% end %>
+<% if proxyRecipes.abTesting %>
+  abTesting,
+<% end %>
+])
+
+/**
+ * Configuration for the proxy middleware
+ *
+ * The matcher defines which paths this proxy runs on: every path one of the
+ * handlers above runs on. Next.js reads it without running this file, so it
+ * has to be a literal; update it when you change a handler's matcher or add
+ * a redirect. You can use:
+ * - Single paths: '/about'
+ * - Dynamic paths: '/blog/:slug'
+ * - Wildcard paths: '/api/:path*'
+ * - Exclude patterns: '/((?!api|_next/static|_next/image|favicon.ico).*)'
+ */
+export const config = {
+  matcher: [
+<% for pattern in proxyMatcher %>
+    <%= pattern %>,
+<% end %>
+  ],
+}
@@ -0,0 +1,40 @@
+import "@testing-library/jest-dom/vitest"
+import { loadEnvConfig } from "@next/env"
+import { cleanup } from "@testing-library/react"
+import { afterEach, vi } from "vitest"
+
+// The variables Next.js loads in tests: .env.test and .env, not .env.local
+loadEnvConfig(process.cwd())
+
+afterEach(() => {
+  cleanup()
+})
+
+// Components that use the router render outside of Next.js in these tests
+vi.mock("next/navigation", () => ({
+  useRouter: () => ({ push: vi.fn(), replace: vi.fn(), refresh: vi.fn(), back: vi.fn(), prefetch: vi.fn() }),
+  usePathname: () => "/",
+  useSearchParams: () => new URLSearchParams(),
+}))
+
+// Browser APIs jsdom does not have, used by next-themes and Radix UI
+if (typeof window !== "undefined") {
+  window.matchMedia ??= (query: string) => ({
+    matches: false,
+    media: query,
+    onchange: null,
+    addListener: () => {},
+    removeListener: () => {},
+    addEventListener: () => {},
+    removeEventListener: () => {},
+    dispatchEvent: () => false,
+  })
+  window.ResizeObserver ??= class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  }
+  Element.prototype.hasPointerCapture ??= () => false
+  Element.prototype.releasePointerCapture ??= () => {}
+  Element.prototype.scrollIntoView ??= () => {}
+}
@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { addFeatures, createMemoryFS, createRecordingRunner } from '../lib/create-geo-app.js';
+import { LAYOUT } from './project.js';
+
+const DIR = '/app';
+
+const PACKAGE_JSON = {
+  name: 'existing-app',
+  scripts: { dev: 'next dev', test: 'jest' },
+  dependencies: { next: '16.0.0', react: '19.2.0' },
+  devDependencies: { typescript: '^5' },
+};
+
+// A Next.js project that create-geo-app did not generate
+function createProject(files = {}) {
+  const fs = createMemoryFS({
+    [`${DIR}/package.json`]: `${JSON.stringify(PACKAGE_JSON, null, 2)}\n`,
+    [`${DIR}/.gitignore`]: '/node_modules\n.env*\n',
+    [`${DIR}/app/layout.tsx`]: LAYOUT,
+    ...files,
+  });
+  return { fs, runner: createRecordingRunner() };
+}
+
+function add(project, names, options = {}) {
+  return addFeatures(names, { cwd: DIR, packageManager: 'npm', install: false, ...project, ...options });
+}
+
+describe('addFeatures() through a memory file system', () => {
+  it('writes the files of the feature and wires the layout', async () => {
+    const project = createProject();
+    const result = await add(project, ['theme']);
+    const tree = project.fs.tree(DIR);
+
+    assert.deepEqual(result.features, ['theme']);
+    assert.ok('components/theme-provider.tsx' in tree);
+    assert.ok('components/mode-toggle.tsx' in tree);
+    assert.match(tree['app/layout.tsx'], /<ThemeProvider/);
+    assert.deepEqual(Object.keys(JSON.parse(tree['.geo-app.json']).files), ['components/mode-toggle.tsx', 'components/theme-provider.tsx']);
+  });
+
+  it('merges the dependencies and scripts into the existing package.json', async () => {
+    const project = createProject();
+    await add(project, ['tests']);
+    const tree = project.fs.tree(DIR);
+    const packageJson = JSON.parse(tree['package.json']);
+
+    assert.equal(packageJson.name, 'existing-app');
+    assert.equal(packageJson.dependencies.next, '16.0.0');
+    assert.equal(packageJson.devDependencies.typescript, '^5');
+    assert.ok('vitest' in packageJson.devDependencies);
+    assert.ok(!('vitest' in packageJson.dependencies));
+    // Scripts the project has are kept
+    assert.deepEqual(packageJson.scripts, {
+      dev: 'next dev',
+      test: 'jest',
+      'test:watch': 'vitest',
+      'test:e2e': 'playwright test',
+    });
+    assert.match(tree['.gitignore'], /^\/node_modules\n\.env\*\n[^]*\/test-results\//);
+  });
+
+  it('installs the packages the project does not have with the package manager', async () => {
+    const project = createProject();
+    await add(project, ['theme'], { install: true });
+
+    assert.deepEqual(project.runner.commands.map(({ command, args, cwd }) => ({ command, args, cwd })), [
+      { command: 'npm', args: ['install', 'next-themes'], cwd: DIR },
+    ]);
+  });
+
+  it('skips the files that are already up to date', async () => {
+    const project = createProject();
+    await add(project, ['theme']);
+    const before = project.fs.tree(DIR);
+    const skipped = [];
+    const result = await add(project, ['theme']).on('skip', ({ path }) => skipped.push(path));
+
+    assert.deepEqual(result.unchanged, ['components/theme-provider.tsx', 'components/mode-toggle.tsx']);
+    assert.deepEqual(skipped, result.unchanged);
+    assert.deepEqual(result.files, []);
+    assert.deepEqual(project.fs.tree(DIR), before);
+  });
+
+  it('refuses to overwrite files with different content and changes nothing', async () => {
+    const project = createProject({ [`${DIR}/components/theme-provider.tsx`]: 'export function ThemeProvider() {}\n' });
+    const before = project.fs.tree(DIR);
+
+    await assert.rejects(add(project, ['theme']), (error) => {
+      assert.deepEqual(error.conflicts, ['components/theme-provider.tsx']);
+      assert.match(error.message, /^1 file\(s\) already exist with different content: components\/theme-provider\.tsx\. Pass --force/);
+      return true;
+    });
+    assert.deepEqual(project.fs.tree(DIR), before);
+    assert.deepEqual(project.runner.commands, []);
+  });
+
+  it('overwrites files with different content with force', async () => {
+    const project = createProject({ [`${DIR}/components/theme-provider.tsx`]: 'export function ThemeProvider() {}\n' });
+    await add(project, ['theme'], { force: true });
+
+    assert.match(project.fs.tree(DIR)['components/theme-provider.tsx'], /from "next-themes"/);
+  });
+
+  it('keeps an existing .env.local and appends the variables it lacks', async () => {
+    const project = createProject({ [`${DIR}/.env.local`]: 'NEXT_PUBLIC_APP_NAME="Mine"\n' });
+    const kept = [];
+    await add(project, ['env'], { force: true }).on('skip', ({ path, kept: isKept }) => isKept && kept.push(path));
+    const env = project.fs.tree(DIR)['.env.local'];
+
+    assert.deepEqual(kept, ['.env.local']);
+    assert.match(env, /^NEXT_PUBLIC_APP_NAME="Mine"\n/);
+    assert.match(env, /^NEXT_PUBLIC_APP_URL=/m);
+    assert.equal(env.match(/^NEXT_PUBLIC_APP_NAME=/gm).length, 1);
+  });
+
+  it('rejects unknown features before touching the project', async () => {
+    const project = createProject();
+    await assert.rejects(add(project, ['theme', 'nope']), /^Error: Unknown feature\(s\): nope/);
+    assert.ok(!('components/theme-provider.tsx' in project.fs.tree(DIR)));
+  });
+});
@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { ANALYTICS_PROVIDERS } from '../lib/create-geo-app.js';
+import { generate } from './project.js';
+
+describe('createGeoApp() with --analytics', () => {
+  for (const [provider, component, from, dependency] of [
+    ['ga', '<GoogleAnalytics gaId={id} />', '@next/third-parties/google', '@next/third-parties'],
+    ['gtm', '<GoogleTagManager gtmId={id} />', '@next/third-parties/google', '@next/third-parties'],
+    ['plausible', '<Script defer data-domain={domain}', 'next/script', null],
+  ]) {
+    it(`loads ${provider} behind the cookie banner`, async () => {
+      const { tree } = await generate({ skipShadcn: true, analytics: provider });
+      const { env, privacy } = ANALYTICS_PROVIDERS[provider];
+
+      assert.match(tree['app/layout.tsx'], /<ConsentProvider>[^]*<\/main>[^]*<CookieBanner \/>\n\s*<Analytics \/>\n\s*<\/ConsentProvider>/);
+      for (const name of ['ConsentProvider', 'CookieBanner', 'Analytics']) {
+        assert.match(tree['app/layout.tsx'], new RegExp(`^import \\{ ${name} \\} from "@/components/`, 'm'));
+      }
+      assert.ok(tree['components/analytics.tsx'].includes(component));
+      assert.ok(tree['components/analytics.tsx'].includes(`from "${from}"`));
+      assert.ok(tree['components/analytics.tsx'].includes(`publicEnv.${env}`));
+
+      // The ID is left empty, which keeps the provider off until it is set
+      for (const file of ['.env.local', '.env.example']) {
+        assert.match(tree[file], new RegExp(`^${env}=""$`, 'm'), file);
+      }
+      assert.match(tree['lib/env.ts'], new RegExp(`^ {2}${env}: z\\.string\\(\\).*\\.optional\\(\\),$`, 'm'));
+      assert.ok(tree['app/privacy/page.tsx'].includes(privacy));
+
+      const packageJson = JSON.parse(tree['package.json']);
+      if (dependency) assert.ok(dependency in packageJson.dependencies);
+      else assert.ok(!('@next/third-parties' in packageJson.dependencies));
+      assert.equal(JSON.parse(tree['.geo-app.json']).options.analytics, provider);
+    });
+  }
+
+  it('leaves analytics and the banner out by default', async () => {
+    const { tree } = await generate({ skipShadcn: true });
+
+    assert.doesNotMatch(tree['app/layout.tsx'], /ConsentProvider|CookieBanner|Analytics/);
+    assert.ok(!('components/cookie-banner.tsx' in tree));
+    for (const { env } of Object.values(ANALYTICS_PROVIDERS)) {
+      assert.doesNotMatch(tree['.env.local'], new RegExp(env));
+    }
+  });
+});
@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { GLOBALS_CSS, generate } from './project.js';
+
+describe('createGeoApp() with --blog', () => {
+  it('writes the blog, its posts and its feed', async () => {
+    const { tree } = await generate({ skipShadcn: true, blog: true });
+
+    for (const path of ['lib/blog.ts', 'app/blog/page.tsx', 'app/blog/[slug]/page.tsx', 'app/blog/tags/[tag]/page.tsx', 'app/feed.xml/route.ts']) {
+      assert.ok(path in tree, `${path} was not written`);
+    }
+    assert.ok(Object.keys(tree).filter((path) => /^content\/posts\/.+\.mdx$/.test(path)).length > 0);
+    const packageJson = JSON.parse(tree['package.json']);
+    assert.ok('next-mdx-remote' in packageJson.dependencies);
+    assert.ok('gray-matter' in packageJson.dependencies);
+    assert.ok('@tailwindcss/typography' in packageJson.devDependencies);
+  });
+
+  it('loads the typography plugin below the @import of app/globals.css', async () => {
+    const { tree } = await generate({ skipShadcn: true, blog: true });
+
+    assert.equal(tree['app/globals.css'], GLOBALS_CSS.replace(
+      '@import "tailwindcss";\n',
+      '@import "tailwindcss";\n@plugin "@tailwindcss/typography";\n',
+    ));
+  });
+
+  it('links the blog and lists its posts in the sitemap', async () => {
+    const { tree } = await generate({ skipShadcn: true, blog: true });
+
+    assert.match(tree['lib/site-config.ts'], /label: "Blog",\n\s+path: "\/blog",\n\s+placement: \["header", "mobile", "footer"\],/);
+    assert.match(tree['app/sitemap.ts'], /getAllPosts\(\)/);
+  });
+
+  it('leaves the blog out by default', async () => {
+    const { tree } = await generate({ skipShadcn: true });
+
+    assert.ok(!('lib/blog.ts' in tree));
+    assert.equal(tree['app/globals.css'], GLOBALS_CSS);
+    assert.doesNotMatch(tree['lib/site-config.ts'], /"\/blog"/);
+    assert.doesNotMatch(tree['app/sitemap.ts'], /blog/);
+  });
+});
@@ -0,0 +1,127 @@
+import assert from 'node:assert/strict';
+import { existsSync } from 'node:fs';
+import { readFile, writeFile } from 'node:fs/promises';
+import { describe, it } from 'node:test';
+import { createGeoApp } from '../lib/create-geo-app.js';
+import { createProject, generate } from './project.js';
+
+describe('createGeoApp() through a memory file system and a recording runner', () => {
+  it('writes the generated files without touching the disk or the working directory', async () => {
+    const cwd = process.cwd();
+    const { result, tree } = await generate();
+
+    assert.equal(process.cwd(), cwd);
+    assert.equal(result.projectDir, '/work/my-app');
+    for (const path of ['app/page.tsx', 'lib/env.ts', 'lib/site-config.ts', 'components/header.tsx', 'proxy.ts', '.geo-app.json']) {
+      assert.ok(path in tree, `${path} was not written`);
+    }
+    for (const file of result.files) {
+      assert.equal(Buffer.byteLength(tree[file.path]), file.size, `${file.path} differs from what was reported`);
+    }
+  });
+
+  it('wires the root layout and records the dependencies it did not install', async () => {
+    const { tree } = await generate();
+
+    assert.match(tree['app/layout.tsx'], /<ThemeProvider/);
+    assert.match(tree['app/layout.tsx'], /<Header \/>/);
+    const packageJson = JSON.parse(tree['package.json']);
+    assert.equal(packageJson.name, 'my-app');
+    assert.ok('next-themes' in packageJson.dependencies);
+    assert.ok('zod' in packageJson.dependencies);
+    assert.ok('@types/nodemailer' in packageJson.devDependencies);
+    assert.ok(!('@types/nodemailer' in packageJson.dependencies));
+  });
+
+  it('keeps the generated content for upgrades inside the manifest', async () => {
+    const { tree } = await generate();
+
+    const manifest = JSON.parse(tree['.geo-app.json']);
+    assert.deepEqual(Object.keys(manifest.bases), Object.keys(manifest.files));
+    assert.equal(manifest.bases['lib/env.ts'], tree['lib/env.ts']);
+    assert.deepEqual(Object.keys(tree).filter((path) => path.startsWith('.geo-app/')), []);
+  });
+
+  it('records the commands in the directories they run in', async () => {
+    const { runner } = await generate();
+
+    const summary = runner.commands.map(({ command, args, cwd }) => ({ command, tool: args[0], cwd }));
+    assert.deepEqual(summary, [
+      { command: 'npx', tool: 'create-next-app@latest', cwd: '/work' },
+      { command: 'npx', tool: 'shadcn@latest', cwd: '/work/my-app' },
+      { command: 'npx', tool: 'shadcn@latest', cwd: '/work/my-app' },
+    ]);
+    assert.deepEqual(runner.commands[0].args.slice(0, 2), ['create-next-app@latest', 'my-app']);
+  });
+
+  it('emits the commands and files it reports', async () => {
+    const project = createProject();
+    const files = [];
+    const commands = [];
+    const result = await createGeoApp({ projectName: 'my-app', cwd: '/work', packageManager: 'npm', install: false, ...project })
+      .on('file', (file) => files.push(file.path))
+      .on('command', (command) => commands.push(command.cwd));
+
+    assert.deepEqual([...new Set(files)], result.files.map((file) => file.path));
+    assert.deepEqual(commands, result.commands.map((command) => command.cwd));
+  });
+
+  it('rewrites every "@/" module specifier to a custom import alias', async () => {
+    const { tree } = await generate({ importAlias: '~/*', withTests: true, analytics: 'ga', skipShadcn: true });
+
+    assert.match(tree['__tests__/contact-action.test.ts'], /vi\.mock\("~\/lib\/mail"/);
+    assert.match(tree['__tests__/contact-form.test.tsx'], /vi\.mock\("~\/app\/contact\/actions"/);
+    assert.match(tree['__tests__/cookie-banner.test.tsx'], /vi\.mock\("~\/lib\/env"/);
+    for (const [path, content] of Object.entries(tree)) {
+      assert.doesNotMatch(content, /["']@\//, `${path} still has an "@/" specifier`);
+    }
+  });
+
+  it('only plans the work in a dry run', async () => {
+    const { fs, runner, result } = await generate({ dryRun: true });
+
+    assert.deepEqual(runner.commands, []);
+    assert.deepEqual(fs.tree('/work'), {});
+    assert.equal(result.plan.commands[0].args[0], 'create-next-app@latest');
+    assert.equal(result.plan.commands[0].cwd, '.');
+    assert.ok(result.plan.writes.some((write) => write.path === 'my-app/app/layout.tsx' && write.before !== null));
+  });
+});
+
+// The whole generated tree is compared with test/snapshots/<name>.json, so a
+// change to any generated file shows up in review. Run
+// `UPDATE_SNAPSHOTS=1 npm test` to write them again after a deliberate change.
+async function matchSnapshot(name, tree) {
+  const file = new URL(`snapshots/${name}.json`, import.meta.url);
+  // The manifest records the generator version, which every release bumps,
+  // and a copy of each file it tracks, which the snapshot has already
+  const { bases, ...manifest } = JSON.parse(tree['.geo-app.json']);
+  for (const [path, content] of Object.entries(bases)) {
+    assert.equal(content, tree[path], `the manifest's copy of ${path} differs from the file`);
+  }
+  const snapshot = { ...tree, '.geo-app.json': `${JSON.stringify({ ...manifest, version: '<version>' }, null, 2)}\n` };
+  if (process.env.UPDATE_SNAPSHOTS) {
+    await writeFile(file, `${JSON.stringify(snapshot, null, 2)}\n`);
+    return;
+  }
+  assert.ok(existsSync(file), `snapshots/${name}.json is missing; write it with UPDATE_SNAPSHOTS=1 npm test`);
+  const expected = JSON.parse(await readFile(file, 'utf-8'));
+  assert.deepEqual(Object.keys(snapshot).sort(), Object.keys(expected).sort(), `the files differ from snapshots/${name}.json`);
+  // The manifest goes last, as its hashes differ whenever a file does
+  const paths = Object.keys(expected).sort((a, b) => (a === '.geo-app.json') - (b === '.geo-app.json'));
+  for (const path of paths) {
+    assert.equal(snapshot[path], expected[path], `${path} differs from snapshots/${name}.json`);
+  }
+}
+
+describe('the generated tree', () => {
+  it('matches the snapshot of a default run', async () => {
+    const { tree } = await generate();
+    await matchSnapshot('default', tree);
+  });
+
+  it('matches the snapshot of a run with every feature on', async () => {
+    const { tree } = await generate({ withTests: true, db: 'postgres', blog: true, analytics: 'ga', proxy: 'all' });
+    await matchSnapshot('all-features', tree);
+  });
+});
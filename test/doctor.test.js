@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+import { join } from 'node:path';
+import { describe, it } from 'node:test';
+import { runDoctor } from '../lib/create-geo-app.js';
+import { generate } from './project.js';
+
+const DIR = '/work/my-app';
+
+// A generated project with the component shadcn/ui would have added, so
+// every check starts out ok
+async function healthyProject(options = {}) {
+  const { fs } = await generate({ skipShadcn: true, ...options });
+  await fs.writeFile(join(DIR, 'components/ui/button.tsx'), 'export function Button() {}\n');
+  return fs;
+}
+
+async function edit(fs, path, change) {
+  await fs.writeFile(join(DIR, path), change(await fs.readFile(join(DIR, path))));
+}
+
+async function problems(fs, name) {
+  const result = await runDoctor({ cwd: DIR, fs });
+  return result.checks.find((check) => check.name === name).problems;
+}
+
+describe('runDoctor() through a memory file system', () => {
+  it('finds nothing wrong with a freshly generated project', async () => {
+    const fs = await healthyProject({ blog: true, analytics: 'ga' });
+    const checks = [];
+    const result = await runDoctor({ cwd: DIR, fs }).on('check', (check) => checks.push(check));
+
+    assert.equal(result.problems, 0);
+    assert.deepEqual(result.checks.filter((check) => check.status !== 'ok'), []);
+    assert.deepEqual(checks, result.checks);
+  });
+
+  it('skips the checks of features the project does not have', async () => {
+    const fs = await healthyProject();
+    const result = await runDoctor({ cwd: DIR, fs });
+
+    const skipped = result.checks.filter((check) => check.status === 'skipped').map((check) => check.name);
+    assert.deepEqual(skipped, ['analytics', 'blog']);
+  });
+
+  it('reports env keys that are read but missing from .env.local', async () => {
+    const fs = await healthyProject();
+    await edit(fs, '.env.local', (env) => env.replace(/^NEXT_PUBLIC_APP_URL=.*\n/m, ''));
+
+    const [problem, ...rest] = await problems(fs, 'env');
+    assert.deepEqual(rest, []);
+    assert.match(problem.message, /^NEXT_PUBLIC_APP_URL is read by lib\/env\.ts.* but not defined in \.env, \.env\.local/);
+    assert.equal(problem.fix, 'Add to .env.local: NEXT_PUBLIC_APP_URL="http://localhost:3000"');
+  });
+
+  it('reports a proxy.ts that still exports middleware', async () => {
+    const fs = await healthyProject();
+    await edit(fs, 'proxy.ts', (proxy) => proxy.replace('export const proxy =', 'export const middleware ='));
+
+    assert.deepEqual((await problems(fs, 'proxy')).map((problem) => problem.message), [
+      'proxy.ts exports middleware, which Next.js 16 no longer calls',
+    ]);
+  });
+
+  it('reports a proxy.ts without a matcher config', async () => {
+    const fs = await healthyProject();
+    await edit(fs, 'proxy.ts', (proxy) => proxy.replace('export const config =', 'const config ='));
+
+    assert.match((await problems(fs, 'proxy'))[0].message, /^proxy\.ts does not export config/);
+  });
+
+  it('reports a proxy.ts it cannot parse', async () => {
+    const fs = await healthyProject();
+    await edit(fs, 'proxy.ts', (proxy) => `${proxy}export const broken = (\n`);
+
+    assert.match((await problems(fs, 'proxy'))[0].message, /^proxy\.ts could not be parsed/);
+  });
+
+  it('reports a leftover middleware.ts', async () => {
+    const fs = await healthyProject();
+    await fs.writeFile(join(DIR, 'middleware.ts'), 'export function middleware() {}\n');
+
+    assert.deepEqual(await problems(fs, 'middleware'), [{
+      message: 'middleware.ts exists next to proxy.ts; Next.js 16 replaced middleware with proxy',
+      fix: 'Move anything middleware.ts still does into proxy.ts, then delete it',
+    }]);
+  });
+
+  it('reports the layout pieces that were removed', async () => {
+    const fs = await healthyProject();
+    await edit(fs, 'app/layout.tsx', (layout) => layout.replace(/\n\s*<Footer \/>/, '').replace(' suppressHydrationWarning', ''));
+
+    assert.deepEqual((await problems(fs, 'navigation')).map((problem) => problem.message), [
+      'app/layout.tsx is missing <Footer /> in the body',
+    ]);
+    assert.deepEqual((await problems(fs, 'theme')).map((problem) => problem.message), [
+      'app/layout.tsx is missing suppressHydrationWarning on <html>',
+    ]);
+  });
+
+  it('reports a layout it cannot read the shape of', async () => {
+    const fs = await healthyProject();
+    await fs.writeFile(join(DIR, 'app/layout.tsx'), 'export default function RootLayout() {\n  return null\n}\n');
+
+    const [problem] = await problems(fs, 'theme');
+    assert.match(problem.message, /does not have the expected shape/);
+    assert.equal(problem.fix, 'Compare app/layout.tsx with a freshly generated project');
+  });
+
+  it('reports a missing consent banner', async () => {
+    const fs = await healthyProject({ analytics: 'plausible' });
+    await edit(fs, 'app/layout.tsx', (layout) => layout.replace(/\n\s*<CookieBanner \/>/, ''));
+
+    assert.deepEqual((await problems(fs, 'analytics')).map((problem) => problem.message), [
+      'app/layout.tsx is missing <CookieBanner /> inside <ConsentProvider>',
+    ]);
+  });
+
+  it('reports the shadcn/ui components the navigation imports but the project lacks', async () => {
+    const fs = await healthyProject();
+    await fs.rm(join(DIR, 'components/ui/button.tsx'));
+
+    assert.deepEqual(await problems(fs, 'ui-components'), [{
+      message: 'components/ui/button.tsx is missing (imported by components/header.tsx)',
+      fix: 'Run: npx shadcn@latest add button',
+    }]);
+  });
+
+  it('reports a blog without the typography plugin', async () => {
+    const fs = await healthyProject({ blog: true });
+    await fs.writeFile(join(DIR, 'app/globals.css'), '@import "tailwindcss";\n');
+
+    assert.match((await problems(fs, 'blog'))[0].message, /does not load the typography plugin/);
+  });
+});
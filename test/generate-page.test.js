@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createMemoryFS, generatePage } from '../lib/create-geo-app.js';
+
+const SITE_CONFIG = `export const routes: Route[] = [
+  { label: "Home", path: "/", placement: [], sitemap: { changeFrequency: "weekly", priority: 1 } },
+]
+`;
+
+function createProject(files = {}) {
+  return createMemoryFS({
+    '/app/package.json': '{ "name": "x", "dependencies": { "next": "16.0.0" } }\n',
+    '/app/lib/site-config.ts': SITE_CONFIG,
+    ...files,
+  });
+}
+
+describe('generatePage() through a memory file system', () => {
+  it('names the component of a page starting with a digit Page<Name>', async () => {
+    const fs = createProject();
+    await generatePage('2024-report', { cwd: '/app', fs });
+
+    const page = fs.tree('/app')['app/2024-report/page.tsx'];
+    assert.match(page, /export default function Page2024Report\(/);
+  });
+
+  it('links a dynamic page back to the page of its section', async () => {
+    const fs = createProject({ '/app/app/docs/page.tsx': 'export default function DocsPage() {}\n' });
+    const result = await generatePage('docs', { cwd: '/app', fs, dynamic: 'slug' });
+
+    const page = fs.tree('/app')['app/docs/[slug]/page.tsx'];
+    assert.match(page, /<Link href="\/docs"/);
+    assert.deepEqual(result.warnings, []);
+  });
+
+  it('leaves out the back link when the section has no page', async () => {
+    const fs = createProject();
+    const result = await generatePage('docs', { cwd: '/app', fs, dynamic: 'slug' });
+
+    const page = fs.tree('/app')['app/docs/[slug]/page.tsx'];
+    assert.doesNotMatch(page, /Link/);
+    assert.match(page, /export default async function DocsSlugPage\(/);
+    assert.equal(result.warnings.length, 1);
+  });
+});
+
+describe('generatePage() options', () => {
+  it('links a page in the header from the mobile menu too', async () => {
+    const fs = createProject();
+    await generatePage('pricing', { cwd: '/app', fs, nav: 'header,footer' });
+
+    const siteConfig = fs.tree('/app')['lib/site-config.ts'];
+    assert.match(siteConfig, /path: "\/pricing",\n\s+placement: \["header", "mobile", "footer"\],/);
+  });
+
+  it('keeps a footer-only page out of the mobile menu', async () => {
+    const fs = createProject();
+    await generatePage('terms', { cwd: '/app', fs, nav: 'footer' });
+
+    assert.match(fs.tree('/app')['lib/site-config.ts'], /path: "\/terms",\n\s+placement: \["footer"\],/);
+  });
+
+  for (const param of ['params', 'section', 'Props', 'Link', 'Metadata', 'class']) {
+    it(`rejects --dynamic ${param}, which the page cannot declare`, async () => {
+      const fs = createProject();
+      await assert.rejects(
+        generatePage('docs', { cwd: '/app', fs, dynamic: param }),
+        new RegExp(`Invalid --dynamic "${param}": the name is taken in the page`),
+      );
+      assert.deepEqual(Object.keys(fs.tree('/app')).sort(), ['lib/site-config.ts', 'package.json']);
+    });
+  }
+});
@@ -0,0 +1,189 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { LAYOUT_FEATURES, editRootLayout, missingLayoutPieces } from '../lib/layout.js';
+
+const OPTIONS = { font: 'inter', importAlias: '@/*' };
+
+// The layout create-next-app writes, less its fonts
+const NEXT_LAYOUT = `import type { Metadata } from "next";
+import "./globals.css";
+
+export const metadata: Metadata = { title: "App" };
+
+export default function RootLayout({
+  children,
+}: Readonly<{
+  children: React.ReactNode;
+}>) {
+  return (
+    <html lang="en">
+      <body className="antialiased">
+        {children}
+      </body>
+    </html>
+  );
+}
+`;
+
+const ARROW_LAYOUT = `import "./globals.css"
+
+const RootLayout = ({ children }: { children: React.ReactNode }) => (
+  <html lang="en">
+    <body>{children}</body>
+  </html>
+)
+
+export default RootLayout
+`;
+
+// A layout with <html className={...}> set to `value`
+function withHtmlClassName(value) {
+  return NEXT_LAYOUT.replace('<html lang="en">', `<html lang="en" className=${value}>`);
+}
+
+describe('editRootLayout()', () => {
+  it('wires every layout feature into the create-next-app layout', () => {
+    assert.equal(editRootLayout(NEXT_LAYOUT, OPTIONS, LAYOUT_FEATURES), `import type { Metadata } from "next";
+import "./globals.css";
+import { inter } from "@/lib/fonts";
+import { ThemeProvider } from "@/components/theme-provider";
+import { Header } from "@/components/header";
+import { Footer } from "@/components/footer";
+import { ConsentProvider } from "@/components/consent-provider";
+import { CookieBanner } from "@/components/cookie-banner";
+import { Analytics } from "@/components/analytics";
+
+export const metadata: Metadata = { title: "App" };
+
+export default function RootLayout({
+  children,
+}: Readonly<{
+  children: React.ReactNode;
+}>) {
+  return (
+    <html lang="en" suppressHydrationWarning className={\`\${inter.variable} antialiased\`}>
+      <body className="antialiased">
+        <ThemeProvider
+          attribute="class"
+          defaultTheme="system"
+          enableSystem
+          disableTransitionOnChange
+        >
+          <ConsentProvider>
+            <div className="min-h-screen flex flex-col">
+              <Header />
+              <main className="flex-1 bg-white dark:bg-black">
+                {children}
+              </main>
+              <Footer />
+            </div>
+            <CookieBanner />
+            <Analytics />
+          </ConsentProvider>
+        </ThemeProvider>
+      </body>
+    </html>
+  );
+}
+`);
+  });
+
+  it('edits an arrow function exported by name, without semicolons', () => {
+    const layout = editRootLayout(ARROW_LAYOUT, OPTIONS, ['theme', 'navigation']);
+
+    assert.match(layout, /^import "\.\/globals\.css"\nimport \{ ThemeProvider \} from "@\/components\/theme-provider"\n/);
+    assert.doesNotMatch(layout, /from "[^"]+";/);
+    assert.match(layout, /<html lang="en" suppressHydrationWarning>/);
+    assert.match(layout, /<body>\n {6}<ThemeProvider\n/);
+    assert.match(layout, /<Header \/>\n {10}<main className="flex-1 bg-white dark:bg-black">\n {12}\{children\}\n/);
+    assert.deepEqual(missingLayoutPieces(layout, OPTIONS, ['theme', 'navigation']), []);
+  });
+
+  it('uses the import alias of the project', () => {
+    const layout = editRootLayout(NEXT_LAYOUT, { ...OPTIONS, importAlias: '~/*' }, ['navigation']);
+    assert.match(layout, /import \{ Header \} from "~\/components\/header";/);
+  });
+
+  for (const [shape, value, expected] of [
+    ['a string', '"font-sans"', '{`${inter.variable} font-sans`}'],
+    ['a template literal', '{`${geist.variable} font-sans`}', '{`${inter.variable} ${geist.variable} font-sans`}'],
+    ['an expression', '{cn("font-sans", "dark")}', '{`${inter.variable} ${cn("font-sans", "dark")}`}'],
+  ]) {
+    it(`adds the font variable to a className that is ${shape}`, () => {
+      const layout = editRootLayout(withHtmlClassName(value), OPTIONS, ['fonts']);
+      assert.ok(layout.includes(`<html lang="en" className=${expected}>`), layout);
+    });
+  }
+
+  it('puts the navigation and consent provider inside an existing ThemeProvider', () => {
+    const themed = editRootLayout(NEXT_LAYOUT, OPTIONS, ['theme']);
+    const layout = editRootLayout(themed, OPTIONS, ['theme', 'navigation', 'analytics']);
+
+    assert.equal(layout.match(/<ThemeProvider/g).length, 1);
+    assert.match(layout, /disableTransitionOnChange\n {8}>\n {10}<ConsentProvider>\n {12}<div className="min-h-screen flex flex-col">/);
+  });
+
+  it('adds what an existing ConsentProvider lacks', () => {
+    const source = NEXT_LAYOUT
+      .replace('import "./globals.css";', 'import "./globals.css";\nimport { ConsentProvider } from "@/components/consent-provider";')
+      .replace('        {children}\n', '        <ConsentProvider>\n          {children}\n        </ConsentProvider>\n');
+    const layout = editRootLayout(source, OPTIONS, ['analytics']);
+
+    assert.equal(layout.match(/<ConsentProvider>/g).length, 1);
+    assert.match(layout, / {10}\{children\}\n {10}<CookieBanner \/>\n {10}<Analytics \/>\n {8}<\/ConsentProvider>/);
+    assert.equal(layout.match(/import \{ ConsentProvider \}/g).length, 1);
+  });
+
+  it('leaves a wired layout as it is', () => {
+    for (const source of [NEXT_LAYOUT, ARROW_LAYOUT, withHtmlClassName('{cn("a")}')]) {
+      const once = editRootLayout(source, OPTIONS, LAYOUT_FEATURES);
+      assert.equal(editRootLayout(once, OPTIONS, LAYOUT_FEATURES), once);
+    }
+  });
+
+  it('leaves the layout alone without layout features', () => {
+    assert.equal(editRootLayout('not even code', OPTIONS, ['env']), 'not even code');
+  });
+
+  it('rejects a layout that does not return <html> around <body>', () => {
+    const source = NEXT_LAYOUT.replace('<html lang="en">', '<div>').replace('</html>', '</div>');
+    assert.throws(() => editRootLayout(source, OPTIONS, ['theme']), /app\/layout\.tsx does not have the expected shape/);
+    assert.throws(() => missingLayoutPieces(source, OPTIONS, ['theme']), /does not have the expected shape/);
+  });
+
+  it('rejects a layout without a default export', () => {
+    const source = NEXT_LAYOUT.replace('export default function', 'export function');
+    assert.throws(() => editRootLayout(source, OPTIONS, ['navigation']), /does not have the expected shape/);
+  });
+
+  it('rejects a layout it cannot parse', () => {
+    assert.throws(() => editRootLayout('export default (', OPTIONS, ['theme']), /Could not parse app\/layout\.tsx/);
+  });
+});
+
+describe('missingLayoutPieces()', () => {
+  it('lists what each feature needs from the create-next-app layout', () => {
+    assert.deepEqual(missingLayoutPieces(NEXT_LAYOUT, OPTIONS, LAYOUT_FEATURES), [
+      'import { inter } from "@/lib/fonts"',
+      'import { ThemeProvider } from "@/components/theme-provider"',
+      'import { Header } from "@/components/header"',
+      'import { Footer } from "@/components/footer"',
+      'import { ConsentProvider } from "@/components/consent-provider"',
+      'import { CookieBanner } from "@/components/cookie-banner"',
+      'import { Analytics } from "@/components/analytics"',
+      '<ThemeProvider> around the body content',
+      'suppressHydrationWarning on <html>',
+      '<Header /> in the body',
+      '<Footer /> in the body',
+      '<ConsentProvider> around the body content',
+      '<CookieBanner /> inside <ConsentProvider>',
+      '<Analytics /> inside <ConsentProvider>',
+      'inter.variable in the className of <html>',
+    ]);
+  });
+
+  it('finds nothing missing once the layout is wired', () => {
+    const layout = editRootLayout(NEXT_LAYOUT, OPTIONS, LAYOUT_FEATURES);
+    assert.deepEqual(missingLayoutPieces(layout, OPTIONS, LAYOUT_FEATURES), []);
+  });
+});
@@ -0,0 +1,151 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { OPTIONS, PAGE_OPTIONS, defaultDirectory, displayName, parseArgs, validateProjectName } from '../lib/options.js';
+import { createProject, generate } from './project.js';
+
+describe('validateProjectName()', () => {
+  for (const name of ['my-app', 'my.app', 'my_app', 'app2', '@org/site', '@my-org/my.site', 'a'.repeat(214)]) {
+    it(`accepts ${name.length > 20 ? `a name of ${name.length} characters` : name}`, () => {
+      assert.equal(validateProjectName(name), null);
+    });
+  }
+
+  for (const [name, error] of [
+    ['', 'Project name must not be empty'],
+    ['   ', 'Project name must not be empty'],
+    ['a'.repeat(215), 'Project name must be at most 214 characters long'],
+    [' my-app', 'Project name must not start or end with spaces'],
+    ['My-App', 'Project name must be lowercase'],
+    ['@Org/site', 'Project name must be lowercase'],
+    ['.app', 'Project name must not start with a dot or an underscore'],
+    ['_app', 'Project name must not start with a dot or an underscore'],
+    ['@org', 'Scoped project names must look like @scope/name'],
+    ['@org/site/web', 'Scoped project names must look like @scope/name'],
+    ['my-app!', 'Project name must not contain any of ~\'!()*'],
+    ['my app', 'Project name must only contain URL-friendly characters (letters, digits, - . _)'],
+    ['apps/web', 'Project name must only contain URL-friendly characters (letters, digits, - . _)'],
+    ['@org/my site', 'Project name must only contain URL-friendly characters (letters, digits, - . _)'],
+    ['node_modules', 'Project name "node_modules" is reserved'],
+    ['favicon.ico', 'Project name "favicon.ico" is reserved'],
+    ['http', 'Project name "http" is reserved'],
+    ['fs', 'Project name "fs" is reserved'],
+  ]) {
+    it(`rejects ${JSON.stringify(name.length > 20 ? `${name.slice(0, 10)}...` : name)}`, () => {
+      assert.equal(validateProjectName(name), error);
+    });
+  }
+});
+
+describe('defaultDirectory() and displayName()', () => {
+  for (const [name, directory, display] of [
+    ['my-app', 'my-app', 'My App'],
+    ['@org/site', 'site', 'Site'],
+    ['@org/my_site.app', 'my_site.app', 'My Site App'],
+  ]) {
+    it(`derives them from ${name}`, () => {
+      assert.equal(defaultDirectory(name), directory);
+      assert.equal(displayName(name), display);
+    });
+  }
+});
+
+describe('parseArgs()', () => {
+  for (const [argv, positionals, options] of [
+    [['my-app'], ['my-app'], {}],
+    [['my-app', '.'], ['my-app', '.'], {}],
+    [['@org/site', 'apps/web', '--yes'], ['@org/site', 'apps/web'], { yes: true }],
+    [['my-app', '-y', '-h'], ['my-app'], { yes: true, help: true }],
+    [['--base-color', 'zinc', 'my-app'], ['my-app'], { baseColor: 'zinc' }],
+    [['--base-color=zinc'], [], { baseColor: 'zinc' }],
+    [['--import-alias=~/*', '--no-turbopack', '--no-install'], [], { importAlias: '~/*', turbopack: false, install: false }],
+    [['--template-dir=./a=b'], [], { templateDir: './a=b' }],
+    [['-', 'my-app'], ['-', 'my-app'], {}],
+  ]) {
+    it(`parses ${argv.join(' ')}`, () => {
+      const parsed = parseArgs(argv);
+      assert.deepEqual(parsed.positionals, positionals);
+      assert.deepEqual([...parsed.explicit].sort(), Object.keys(options).sort());
+      for (const [key, value] of Object.entries(options)) assert.equal(parsed.options[key], value, key);
+    });
+  }
+
+  it('starts from the defaults', () => {
+    const { options } = parseArgs([]);
+    assert.equal(options.baseColor, 'neutral');
+    assert.equal(options.importAlias, '@/*');
+    assert.equal(options.turbopack, true);
+    assert.equal(Object.keys(options).length, OPTIONS.length);
+  });
+
+  it('takes the implicit value of an option given without one', () => {
+    const table = [...OPTIONS, ...PAGE_OPTIONS];
+    assert.equal(parseArgs(['page', 'docs', '--dynamic'], table).options.dynamic, 'slug');
+    assert.equal(parseArgs(['page', 'docs', '--dynamic', '--with-error'], table).options.dynamic, 'slug');
+    assert.equal(parseArgs(['page', 'docs', '--dynamic', 'id'], table).options.dynamic, 'id');
+  });
+
+  for (const [argv, error] of [
+    [['--nope'], 'Unknown option: --nope'],
+    [['--no-base-color'], 'Unknown option: --no-base-color'],
+    [['--yes=true'], 'Option --yes does not take a value'],
+    [['--base-color'], 'Option --base-color requires a value'],
+    [['--base-color', '--yes'], 'Option --base-color requires a value'],
+    [['--dynamic'], 'Unknown option: --dynamic'],
+  ]) {
+    it(`rejects ${argv.join(' ')}`, () => {
+      assert.throws(() => parseArgs(argv), { message: error });
+    });
+  }
+});
+
+describe('the target directory of createGeoApp()', () => {
+  for (const [options, directory, projectDir] of [
+    [{}, 'my-app', '/work/my-app'],
+    [{ projectName: '@org/site' }, 'site', '/work/site'],
+    [{ directory: '.' }, '.', '/work'],
+    [{ directory: 'apps/web' }, 'apps/web', '/work/apps/web'],
+  ]) {
+    it(`generates ${options.projectName ?? 'my-app'}${options.directory ? ` into ${options.directory}` : ''} in ${projectDir}`, async () => {
+      const { result, fs } = await generate({ skipShadcn: true, ...options });
+
+      assert.equal(result.directory, directory);
+      assert.equal(result.projectDir, projectDir);
+      const packageJson = JSON.parse(await fs.readFile(`${projectDir}/package.json`));
+      assert.equal(packageJson.name, options.projectName ?? 'my-app');
+    });
+  }
+
+  it('generates into an existing directory with only harmless files', async () => {
+    const { fs, runner } = createProject();
+    await fs.writeFile('/work/.git/HEAD', 'ref: refs/heads/main\n');
+    await fs.writeFile('/work/.gitignore', '');
+    const { result } = await generate({ skipShadcn: true, directory: '.', fs, runner });
+
+    assert.equal(result.projectDir, '/work');
+  });
+
+  it('rejects a directory that is not empty', async () => {
+    const { fs, runner } = createProject();
+    await fs.writeFile('/work/my-app/notes.txt', 'mine\n');
+
+    await assert.rejects(generate({ skipShadcn: true, fs, runner }), /^Error: Directory "my-app" already exists and is not empty/);
+    assert.deepEqual(runner.commands, []);
+  });
+
+  it('does not let force remove the directory it is run from', async () => {
+    const { fs, runner } = createProject();
+    await fs.writeFile('/work/notes.txt', 'mine\n');
+
+    await assert.rejects(
+      generate({ skipShadcn: true, directory: '.', force: true, fs, runner }),
+      /--force cannot remove the directory it is run from/,
+    );
+    assert.equal(await fs.readFile('/work/notes.txt'), 'mine\n');
+  });
+
+  it('rejects an invalid project name before running anything', async () => {
+    const { fs, runner } = createProject();
+    await assert.rejects(generate({ projectName: 'My-App', fs, runner }), /^Error: Project name must be lowercase/);
+    assert.deepEqual(runner.commands, []);
+  });
+});
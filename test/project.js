@@ -0,0 +1,50 @@
+import { join } from 'node:path';
+import { createGeoApp, createMemoryFS, createRecordingRunner } from '../lib/create-geo-app.js';
+
+export const GLOBALS_CSS = `@import "tailwindcss";
+
+:root {
+  --background: #ffffff;
+  --foreground: #171717;
+}
+`;
+
+export const LAYOUT = `import "./globals.css";
+
+export default function RootLayout({ children }: { children: React.ReactNode }) {
+  return (
+    <html lang="en">
+      <body>{children}</body>
+    </html>
+  );
+}
+`;
+
+// A memory file system and a runner that stands in for create-next-app by
+// writing the files the later steps read
+export function createProject() {
+  const fs = createMemoryFS();
+  const runner = createRecordingRunner(async ({ args, cwd }) => {
+    const at = args.indexOf('create-next-app@latest');
+    if (at === -1) return;
+    const app = join(cwd, args[at + 1]);
+    await fs.writeFile(join(app, 'package.json'), '{ "name": "x", "dependencies": { "next": "16.0.0" } }\n');
+    await fs.writeFile(join(app, '.gitignore'), '.env*\n');
+    await fs.writeFile(join(app, 'app/layout.tsx'), LAYOUT);
+    await fs.writeFile(join(app, 'app/globals.css'), GLOBALS_CSS);
+  });
+  return { fs, runner };
+}
+
+export function generate(options = {}) {
+  const project = createProject();
+  const run = createGeoApp({
+    projectName: 'my-app',
+    cwd: '/work',
+    packageManager: 'npm',
+    install: false,
+    ...project,
+    ...options,
+  });
+  return run.then((result) => ({ ...project, result, tree: project.fs.tree('/work/my-app') }));
+}
@@ -0,0 +1,154 @@
+import assert from 'node:assert/strict';
+import { join } from 'node:path';
+import { describe, it } from 'node:test';
+import { upgradeProject } from '../lib/create-geo-app.js';
+import { VERSION, hashContent } from '../lib/manifest.js';
+import { mergeThreeWay } from '../lib/merge.js';
+import { generate } from './project.js';
+
+const DIR = '/work/my-app';
+const FILE = 'components/footer.tsx';
+const LABELS = { ours: 'your changes', theirs: 'create-geo-app 2.0.0' };
+
+describe('mergeThreeWay()', () => {
+  const base = 'one\ntwo\nthree\nfour\nfive\n';
+
+  it('applies the changes of both sides to different lines', () => {
+    const merged = mergeThreeWay(base, 'ONE\ntwo\nthree\nfour\nfive\n', 'one\ntwo\nthree\nfour\nFIVE\n', LABELS);
+    assert.deepEqual(merged, { content: 'ONE\ntwo\nthree\nfour\nFIVE\n', conflicts: 0 });
+  });
+
+  it('takes a change both sides made once', () => {
+    const merged = mergeThreeWay(base, 'one\nTWO\nthree\nfour\nfive\n', 'one\nTWO\nthree\nfour\nfive\n', LABELS);
+    assert.deepEqual(merged, { content: 'one\nTWO\nthree\nfour\nfive\n', conflicts: 0 });
+  });
+
+  it('marks lines both sides changed differently as a conflict', () => {
+    const merged = mergeThreeWay(base, 'one\ntwo\nmine\nfour\nfive\n', 'one\ntwo\ntheirs\nfour\nfive\n', LABELS);
+    assert.equal(merged.conflicts, 1);
+    assert.equal(merged.content, [
+      'one',
+      'two',
+      '<<<<<<< your changes',
+      'mine',
+      '=======',
+      'theirs',
+      '>>>>>>> create-geo-app 2.0.0',
+      'four',
+      'five',
+      '',
+    ].join('\n'));
+  });
+
+  it('keeps a line one side deleted deleted and lines the other appended', () => {
+    const merged = mergeThreeWay(base, 'one\nthree\nfour\nfive\n', 'one\ntwo\nthree\nfour\nfive\nsix\n', LABELS);
+    assert.deepEqual(merged, { content: 'one\nthree\nfour\nfive\nsix\n', conflicts: 0 });
+  });
+});
+
+// A generated project whose manifest says it came from an older version, in
+// which line 3 of FILE read differently. `file` is what the user has now:
+// the old content itself, an edit of it, or null when they deleted it.
+async function olderProject(file) {
+  const { fs, runner, tree } = await generate({ skipShadcn: true });
+  const generated = tree[FILE];
+  const lines = generated.split('\n');
+  const old = [...lines.slice(0, 2), 'import * as OldReact from "react"', ...lines.slice(3)].join('\n');
+
+  const manifest = JSON.parse(tree['.geo-app.json']);
+  manifest.version = '1.0.0';
+  manifest.files[FILE] = hashContent(old);
+  manifest.bases[FILE] = old;
+  await fs.writeFile(join(DIR, '.geo-app.json'), JSON.stringify(manifest, null, 2));
+  if (file === null) {
+    await fs.rm(join(DIR, FILE));
+  } else {
+    await fs.writeFile(join(DIR, FILE), file(old));
+  }
+  return { fs, runner, generated, old };
+}
+
+async function upgrade(project, options = {}) {
+  const { fs, runner } = project;
+  const result = await upgradeProject({ cwd: DIR, fs, runner, install: false, ...options });
+  const tree = fs.tree(DIR);
+  const status = result.changes.find((change) => change.path === FILE)?.status;
+  return { result, tree, status, manifest: JSON.parse(tree['.geo-app.json']) };
+}
+
+describe('upgradeProject() through a memory file system', () => {
+  it('replaces a file the user never changed', async () => {
+    const project = await olderProject((old) => old);
+    const { status, tree, result } = await upgrade(project);
+
+    assert.equal(status, 'updated');
+    assert.equal(tree[FILE], project.generated);
+    assert.deepEqual(result.conflicts, []);
+    const others = result.changes.filter((change) => change.path !== FILE);
+    assert.deepEqual(others.filter((change) => change.status !== 'unchanged'), []);
+  });
+
+  it('merges the new version into a file the user changed elsewhere', async () => {
+    const project = await olderProject((old) => `${old}export const note = "mine"\n`);
+    const { status, tree } = await upgrade(project);
+
+    assert.equal(status, 'merged');
+    assert.equal(tree[FILE], `${project.generated}export const note = "mine"\n`);
+  });
+
+  it('writes conflict markers where both sides changed the same line', async () => {
+    const project = await olderProject((old) => old.replace('import * as OldReact from "react"', 'import * as MyReact from "react"'));
+    const { status, tree, result } = await upgrade(project);
+
+    assert.equal(status, 'conflict');
+    assert.deepEqual(result.conflicts, [FILE]);
+    assert.ok(tree[FILE].includes([
+      '<<<<<<< your changes',
+      'import * as MyReact from "react"',
+      '=======',
+      'import * as React from "react"',
+      `>>>>>>> create-geo-app ${VERSION}`,
+    ].join('\n')));
+  });
+
+  it('replaces a changed file with force', async () => {
+    const project = await olderProject((old) => old.replace('import * as OldReact from "react"', 'import * as MyReact from "react"'));
+    const { status, tree } = await upgrade(project, { force: true });
+
+    assert.equal(status, 'updated');
+    assert.equal(tree[FILE], project.generated);
+  });
+
+  it('leaves a file the user deleted deleted', async () => {
+    const project = await olderProject(null);
+    const { status, tree } = await upgrade(project);
+
+    assert.equal(status, 'deleted');
+    assert.ok(!(FILE in tree));
+  });
+
+  it('adds the files of a feature enabled since', async () => {
+    const project = await olderProject((old) => old);
+    const { status, tree, result } = await upgrade(project, { blog: true });
+
+    assert.equal(status, 'updated');
+    for (const path of ['lib/blog.ts', 'app/blog/page.tsx', 'content/posts/hello-world.mdx']) {
+      assert.equal(result.changes.find((change) => change.path === path)?.status, 'added', path);
+      assert.ok(path in tree, `${path} was not written`);
+    }
+    assert.match(tree['app/globals.css'], /@plugin "@tailwindcss\/typography";/);
+  });
+
+  it('records the new version and its output as the next base', async () => {
+    const project = await olderProject((old) => `${old}export const note = "mine"\n`);
+    const { manifest, result } = await upgrade(project);
+
+    assert.equal(result.from, '1.0.0');
+    assert.equal(manifest.version, VERSION);
+    assert.equal(manifest.bases[FILE], project.generated);
+    assert.equal(manifest.files[FILE], hashContent(project.generated));
+    for (const { path, status } of result.changes) {
+      if (status !== 'deleted') assert.ok(path in manifest.bases, `${path} has no base`);
+    }
+  });
+});